@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+// bin/code2score.mjs
+// Command-line batch conversion: source files -> MIDI / MusicXML / score JSON
+
+import { register } from 'node:module';
+import { parseArgs } from 'node:util';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+register('./loader.mjs', import.meta.url);
+
+const utils = new URL('../src/components/utils/', import.meta.url);
+const { composeFromSource } = await import(new URL('composer.js', utils));
+const { composeFromDiff } = await import(new URL('diffComposer.js', utils));
+const { encodeMIDI } = await import(new URL('midiWriter.js', utils));
+const { generateMusicXML } = await import(new URL('musicXmlExporter.js', utils));
+const { BUILT_IN_PROFILES, parseProfile } = await import(new URL('mappingProfiles.js', utils));
+const { MODES } = await import(new URL('keys.js', utils));
+const { readOverrides } = await import(new URL('project.js', utils));
+const {
+  REPOSITORY_EXTENSIONS, isIgnoredDirectory, filterRepositoryFiles, combineMovements,
+} = await import(new URL('repository.js', utils));
+
+const USAGE = `Usage: code2score <files or directories...> [options]
+
+Options:
+  -o, --out <dir>         output directory (default: .)
+  -f, --format <format>   mid | musicxml | json, repeatable (default: mid)
+  -p, --profile <name>    built-in profile (${BUILT_IN_PROFILES.map(p => p.id).join(', ')})
+                          or a .json mapping profile
+  -t, --tempo <bpm>       tempo (default: 120)
+  -m, --mode <mode>       play the file type's tonic in another mode:
+                          ${Object.keys(MODES).map(mode => mode.replace(' ', '-')).join(', ')}
+      --transpose=<n>     semitones, -12 to 12, e.g. --transpose=-3 (default: 0)
+      --comments <mode>   timbre | rest | code (default: from the profile)
+      --harmony           add chords under the melody
+      --motifs            functions and classes become lettered sections whose
+                          motif repeats wherever they are called
+      --metrics           code metrics per function drive dynamics, hairpins,
+                          dissonance and tempo changes
+      --overrides <file>  notes set by hand: a .c2s.json project saved from the app
+                          (its overrides, for files named like the project's file)
+                          or a JSON map of line key -> override (for every file)
+      --drums / --no-drums
+                          punctuation drum track (default: from the profile)
+      --combine           one piece with a movement per file instead of one file each
+      --name <name>       file name for --combine (default: code2score)
+  -h, --help              show this help
+
+Directories are searched for ${REPOSITORY_EXTENSIONS.length} source file types, skipping
+node_modules, build output and the like. .diff and .patch files are composed in diff mode.`;
+
+const FORMATS = {
+  mid: (score, tempo) => encodeMIDI(score, { tempo }),
+  musicxml: (score, tempo) => generateMusicXML(score, { tempo }),
+  json: (score) => `${JSON.stringify(score, null, 2)}\n`,
+};
+
+const fail = (message) => {
+  console.error(`code2score: ${message}`);
+  process.exit(1);
+};
+
+const isDiff = (file) => /\.(diff|patch)$/i.test(file);
+
+// Built-in id, or a path to a profile exported from the app
+const loadProfile = async (name) => {
+  if (!name) return undefined;
+  const builtIn = BUILT_IN_PROFILES.find(profile => profile.id === name);
+  if (builtIn) return builtIn;
+
+  const text = await fs.readFile(name, 'utf8').catch(() => fail(`no built-in profile or file named "${name}"`));
+  const { profile, errors } = parseProfile(text);
+  if (!profile) fail(`invalid profile ${name}:\n  ${errors.join('\n  ')}`);
+  return profile;
+};
+
+// Overrides from a saved project (only for files named like the project's), or a bare map of them
+const loadOverrides = async (file) => {
+  if (!file) return { overrides: undefined, filename: null };
+  const text = await fs.readFile(file, 'utf8').catch(() => fail(`cannot read ${file}`));
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    fail(`invalid overrides ${file}: ${error.message}`);
+  }
+  return json?.app === 'code2score'
+    ? { overrides: readOverrides(json.overrides), filename: json.filename || null }
+    : { overrides: readOverrides(json), filename: null };
+};
+
+// Source files below a directory, filtered like repository mode (without the count limits)
+const walk = async (dir) => {
+  const found = [];
+  const visit = async (relative) => {
+    const entries = await fs.readdir(path.join(dir, relative), { withFileTypes: true });
+    for (const entry of entries) {
+      const child = relative ? `${relative}/${entry.name}` : entry.name;
+      if (entry.isDirectory() && !isIgnoredDirectory(entry.name)) {
+        await visit(child);
+      } else if (entry.isFile()) {
+        const { size } = await fs.stat(path.join(dir, child));
+        found.push({ path: child, size });
+      }
+    }
+  };
+  await visit('');
+
+  const { accepted, skipped } = filterRepositoryFiles(found, { maxFiles: Infinity, maxTotalBytes: Infinity });
+  skipped
+    .filter(({ reason }) => reason !== 'unsupported file type')
+    .forEach(({ path: file, reason }) => console.warn(`skipped ${path.join(dir, file)}: ${reason}`));
+  return accepted.map(file => ({ file: path.join(dir, file.path), name: file.path }));
+};
+
+// Output name for one input: its path with separators flattened, so a.js and lib/a.js don't collide
+const outputName = (name) => name.replace(/\.[^./\\]+$/, '').replace(/[/\\]+/g, '_').replace(/^[._]+/, '');
+
+const main = async () => {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        out: { type: 'string', short: 'o', default: '.' },
+        format: { type: 'string', short: 'f', multiple: true },
+        profile: { type: 'string', short: 'p' },
+        tempo: { type: 'string', short: 't', default: '120' },
+        mode: { type: 'string', short: 'm' },
+        transpose: { type: 'string', default: '0' },
+        comments: { type: 'string' },
+        harmony: { type: 'boolean', default: false },
+        motifs: { type: 'boolean', default: false },
+        metrics: { type: 'boolean', default: false },
+        overrides: { type: 'string' },
+        drums: { type: 'boolean' },
+        'no-drums': { type: 'boolean' },
+        combine: { type: 'boolean', default: false },
+        name: { type: 'string', default: 'code2score' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (error) {
+    fail(`${error.message}\n\n${USAGE}`);
+  }
+  const { values, positionals } = args;
+
+  if (values.help || positionals.length === 0) {
+    console.log(USAGE);
+    process.exit(values.help ? 0 : 1);
+  }
+
+  const formats = (values.format || ['mid']).flatMap(format => format.split(','));
+  formats.forEach(format => {
+    if (!FORMATS[format]) fail(`unknown format "${format}" (use ${Object.keys(FORMATS).join(', ')})`);
+  });
+  const tempo = parseInt(values.tempo, 10);
+  if (!(tempo >= 40 && tempo <= 240)) fail(`tempo must be between 40 and 240, got "${values.tempo}"`);
+  const transpose = Number(values.transpose);
+  if (!Number.isInteger(transpose) || Math.abs(transpose) > 12) {
+    fail(`transpose must be a whole number from -12 to 12, got "${values.transpose}"`);
+  }
+  const mode = values.mode?.replace(/-/g, ' ');
+  if (mode && !MODES[mode]) fail(`unknown mode "${values.mode}"`);
+  if (values.comments && !['timbre', 'rest', 'code'].includes(values.comments)) {
+    fail(`unknown comment mode "${values.comments}"`);
+  }
+
+  const overrides = await loadOverrides(values.overrides);
+  const options = {
+    profile: await loadProfile(values.profile),
+    harmony: values.harmony,
+    motifs: values.motifs,
+    metrics: values.metrics,
+    mode,
+    transpose,
+    ...(values.comments && { commentMode: values.comments }),
+    ...(values.drums && { drums: true }),
+    ...(values['no-drums'] && { drums: false }),
+  };
+
+  const inputs = [];
+  for (const arg of positionals) {
+    const stat = await fs.stat(arg).catch(() => fail(`cannot read ${arg}`));
+    if (stat.isDirectory()) {
+      const base = path.basename(path.resolve(arg));
+      (await walk(arg)).forEach(({ file, name }) => inputs.push({ file, name: `${base}/${name}` }));
+    } else {
+      const relative = path.relative(process.cwd(), path.resolve(arg));
+      inputs.push({ file: arg, name: relative.startsWith('..') ? path.basename(arg) : relative });
+    }
+  }
+  if (inputs.length === 0) fail('no source files found');
+
+  const scores = [];
+  for (const { file, name } of inputs) {
+    const source = await fs.readFile(file, 'utf8');
+    const filename = path.basename(file);
+    const fileOptions = {
+      ...options,
+      filename,
+      ...((!overrides.filename || overrides.filename === filename) && { overrides: overrides.overrides }),
+    };
+    const score = isDiff(file) ? composeFromDiff(source, fileOptions) : composeFromSource(source, fileOptions);
+    if (score.notes.length === 0) {
+      console.warn(`skipped ${file}: no notes`);
+    } else {
+      scores.push({ name, path: name.split(path.sep).join('/'), source, score });
+    }
+  }
+
+  await fs.mkdir(values.out, { recursive: true });
+  const write = async (name, score) => {
+    score.parts.filter(part => part.merged).forEach(part => {
+      console.warn(`${name}: more instruments than MIDI channels; ${part.merged.join(', ')} play as ${part.instrument}`);
+    });
+    for (const format of formats) {
+      const target = path.join(values.out, `${name}.${format}`);
+      await fs.writeFile(target, FORMATS[format](score, tempo));
+      console.log(`wrote ${target}`);
+    }
+  };
+
+  if (values.combine) {
+    await write(values.name, combineMovements(scores, { filename: values.name }));
+  } else {
+    for (const { name, score } of scores) {
+      await write(outputName(name), score);
+    }
+  }
+};
+
+main().catch(error => fail(error.stack || error.message));
@@ -0,0 +1,23 @@
+// bin/loader.mjs
+// Node module hooks so the CLI can import the app's utils unbundled: they are ES
+// modules in .js files (no "type": "module") with extensionless relative imports
+
+const SRC = new URL('../src/', import.meta.url).href;
+
+// "./composer" -> "./composer.js", as webpack resolves it
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    if (error.code !== 'ERR_MODULE_NOT_FOUND' || !specifier.startsWith('.')) throw error;
+    return nextResolve(`${specifier}.js`, context);
+  }
+}
+
+// Everything under src/ is ESM
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(SRC) && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
@@ -1,275 +1,660 @@
 // src/components/CodeToMusicPlayer.jsx
 
-import React, { useRef, useState, useEffect } from 'react';
+import React, { useRef, useState, useEffect, useMemo } from 'react';
 import CodeMirror from 'codemirror';
+import { saveAs } from 'file-saver';
 import 'codemirror/lib/codemirror.css';
 import 'codemirror/mode/javascript/javascript';
 import 'codemirror/mode/python/python';
 import 'codemirror/mode/clike/clike';
+import 'codemirror/mode/diff/diff';
 import 'codemirror/theme/monokai.css';
-import * as Vex from 'vexflow';
 
 // ✅ Import Tone.js v13 — attaches to window.Tone
 
-import {
-  getKeySignatureByExtension,
-  getTimeSignatureByAvgLength,
-  getInstrumentByKeyword,
-  getVelocityAndOctaveByIndent,
-  constrainNoteToKey,
-} from './utils/musicMapper';
+import { composeFromSource, composeLine, createCompositionCache, midiToNoteName } from './utils/composer';
+import { renderScore, toVexKey } from './utils/scoreRenderer';
 import { generateMIDI } from './utils/midiGenerator';
+import { parseMIDI, scoreFromMIDI } from './utils/midiParser';
+import { generateMusicXML } from './utils/musicXmlExporter';
+import { createTransportPlayer } from './utils/transportPlayer';
+import { getLineRangeBeats } from './utils/noteScheduler';
+import { renderScoreToWAV } from './utils/audioRenderer';
+import { CLASSIC_PROFILE } from './utils/mappingProfiles';
+import { MODES } from './utils/keys';
+import ProfilePanel from './ProfilePanel';
+import RepositoryPanel from './RepositoryPanel';
+import DiffPanel from './DiffPanel';
+import LibraryPanel from './LibraryPanel';
+import NoteEditor from './NoteEditor';
+import { composeFromDiff } from './utils/diffComposer';
+import { getLineKeys } from './utils/overrides';
+import {
+  createProject,
+  createShareLink,
+  decodeProjectHash,
+  parseProjectFile,
+  readProject,
+  stringifyProject,
+  PROJECT_FILE_EXTENSION,
+} from './utils/project';
+import { autosaveComposition, getLatestAutosave } from './utils/projectLibrary';
 import { useTheme } from '../context/ThemeContext';
 
-const VF = Vex.Flow;
+const EMPTY_SCORE = composeFromSource('');
 
-// 🔑 Convert MIDI number → VexFlow-safe note (sharps only)
-function midiToNoteName(midi) {
-  if (typeof midi !== 'number' || midi < 0 || midi > 127) return 'C4';
-  const notes = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-  const octave = Math.floor(midi / 12) - 1;
-  const note = notes[midi % 12];
-  return `${note}${octave}`;
-}
+// Wait for a pause in typing before autosaving
+const AUTOSAVE_DELAY = 1000;
 
+// Live mode: recompose (and so redraw the staff and reschedule playback) once typing pauses this long;
+// the edited line sounds straight away
+const COMPOSE_DELAY = 300;
 
-// 🔑 Sanitize note for VexFlow: remove bad chars, enforce C4/C#4 format
-function sanitizeNoteForVexFlow(note) {
-  if (typeof note !== 'string') return 'C4';
-  const cleaned = note.replace(/[^A-G#0-9]/g, '');
-  const match = cleaned.match(/^([A-G])(#?)(\d)$/);
-  return match ? match[1] + match[2] + match[3] : 'C4';
-}
+// No notes set by hand (shared, so clearing overrides is a no-op when there are none)
+const NO_OVERRIDES = {};
+
+// Selecting a long range plays only its first notes
+const MAX_AUDITION_NOTES = 16;
+
+const DEFAULT_SOURCE = `function hello() {\n  console.log("Hello, world!");\n    if (true) {\n      return true;\n    }\n}`;
+
+// "Simulate file type" choices; a repository movement adds its real path
+const SIMULATED_FILES = [
+  ['example.js', 'JavaScript (.js)'],
+  ['example.py', 'Python (.py)'],
+  ['example.php', 'PHP (.php)'],
+  ['example.java', 'Java (.java)'],
+  ['example.go', 'Go (.go)'],
+];
+
+// CodeMirror mode for a filename (modes imported above; everything else uses javascript)
+const getEditorMode = (filename) => {
+  const ext = filename.split('.').pop().toLowerCase();
+  const modes = {
+    py: 'python',
+    java: 'text/x-java',
+    c: 'text/x-csrc',
+    cpp: 'text/x-c++src',
+    ts: 'text/typescript',
+    tsx: 'text/typescript',
+  };
+  return modes[ext] || 'javascript';
+};
+
+// Mark the staff notes of the lines selected in the editor (lines: { from, to } or null)
+const markSelectedNotes = (noteElements, notes, lines) => {
+  Object.entries(noteElements).forEach(([index, elements]) => {
+    const line = notes[index]?.line;
+    const selected = Boolean(lines) && line != null && line >= lines.from && line <= lines.to;
+    elements.forEach(element => element.classList.toggle('selected-note', selected));
+  });
+};
 
 export default function CodeToMusicPlayer() {
   const editorRef = useRef(null);
-  const canvasRef = useRef(null);
-  const [notes, setNotes] = useState([]);
+  const scoreRef = useRef(null);
+  const cmRef = useRef(null);
+  const sourceRef = useRef(DEFAULT_SOURCE);
+  const midiInputRef = useRef(null);
+  const projectInputRef = useRef(null);
+  // One autosave entry per page load; nothing is autosaved until the last one is restored
+  const sessionIdRef = useRef(String(Date.now()));
+  const libraryReadyRef = useRef(false);
+  const playerRef = useRef(null);
+  const noteElementsRef = useRef({});
+  // Latest auditionLine, for the editor's change handler
+  const auditionRef = useRef(null);
+  // Latest auditionLines, for the editor's mouse handler
+  const auditionLinesRef = useRef(null);
+  const selectedLinesRef = useRef(null);
+  // Note under the pointer on the staff or in the mapping table
+  const hoveredRef = useRef(null);
+  // Overrides and the editor's recompose, so editing a note keeps the editor as it is
+  const overridesRef = useRef(NO_OVERRIDES);
+  const recomposeRef = useRef(null);
+  const [score, setScore] = useState(EMPTY_SCORE);
   const [filename, setFilename] = useState('example.js');
-  const [isPlaying, setIsPlaying] = useState(false);
+  const [commentMode, setCommentMode] = useState('timbre');
+  const [harmony, setHarmony] = useState(false);
+  const [motifs, setMotifs] = useState(false);
+  const [metrics, setMetrics] = useState(false);
+  const [drums, setDrums] = useState(CLASSIC_PROFILE.percussion.enabled);
+  const [profile, setProfile] = useState(CLASSIC_PROFILE);
+  const [mode, setMode] = useState(null);
+  const [diffMode, setDiffMode] = useState(false);
+  const [liveMode, setLiveMode] = useState(false);
+  const [audition, setAudition] = useState(false);
+  const [linkAudio, setLinkAudio] = useState(true);
+  const [selectedLines, setSelectedLines] = useState(null);
+  const [overrides, setOverrides] = useState(NO_OVERRIDES);
+  const [editingKey, setEditingKey] = useState(null);
+  const [playerState, setPlayerState] = useState('stopped');
+  const [tempo, setTempo] = useState(120);
+  const [transpose, setTranspose] = useState(0);
+  const [playhead, setPlayhead] = useState(0);
+  const [loopLines, setLoopLines] = useState(null);
+  const [isRendering, setIsRendering] = useState(false);
+  const [autosavedAt, setAutosavedAt] = useState(null);
   const { darkMode } = useTheme();
+  const { notes } = score;
+  // Override keys per note; imported MIDI has no code to key them by
+  const lineKeys = useMemo(() => getLineKeys(notes.map(note => note.content)), [notes]);
+  const canOverride = score.metadata.source !== 'midi';
+  const editingIndex = editingKey ? lineKeys.indexOf(editingKey) : -1;
 
   useEffect(() => {
     if (!editorRef.current) return;
 
     editorRef.current.innerHTML = '';
 
+    // The editor is rebuilt when settings change; keep what the user typed
     const editor = CodeMirror(editorRef.current, {
-      value: `function hello() {\n  console.log("Hello, world!");\n    if (true) {\n      return true;\n    }\n}`,
-      mode: 'javascript',
+      value: sourceRef.current,
+      mode: diffMode ? 'diff' : getEditorMode(filename),
       lineNumbers: true,
       theme: darkMode ? 'monokai' : 'default',
       viewportMargin: Infinity,
     });
+    cmRef.current = editor;
+
+    // Live mode recomposes only the lines that changed since the last keystroke
+    const cache = liveMode ? createCompositionCache() : null;
+
+    const currentOptions = () => ({
+      filename, commentMode, harmony, motifs, metrics, drums, profile, mode, transpose, cache,
+      overrides: overridesRef.current,
+    });
 
     const analyzeCode = () => {
+      sourceRef.current = editor.getValue();
       try {
-        const content = editor.getValue();
-        const lines = content.split('\n').filter(line => line.trim() !== '');
-
-        if (lines.length === 0) {
-          setNotes([]);
-          return;
-        }
-
-        const avgLength = lines.reduce((sum, line) => sum + line.length, 0) / lines.length;
-        const timeSig = getTimeSignatureByAvgLength(avgLength);
-        const keySig = getKeySignatureByExtension(filename);
-
-        const analyzed = lines.map((line, index) => {
-          const length = line.length;
-          const lastChar = line.slice(-1);
-          const { velocity, octaveShift } = getVelocityAndOctaveByIndent(line);
-          const instrument = getInstrumentByKeyword(line);
-
-          const basePitch = 60 + octaveShift * 12;
-          const pitchOffset = Math.min(Math.floor(length / 5), 12);
-          const midiNote = basePitch + pitchOffset;
-
-          // ✅ SAFE: No Tone used here
-          let noteName = midiToNoteName(midiNote);
-          noteName = constrainNoteToKey(noteName, keySig);
-
-          let duration = '4n';
-          if (lastChar === '}') duration = '2n';
-          if (lastChar === ';') duration = '4n';
-          if (lastChar === ':') duration = '8n';
-
-          return {
-            line: index + 1,
-            content: line,
-            length,
-            lastChar,
-            midiNote,
-            noteName,
-            duration,
-            velocity,
-            instrument,
-            timeSig,
-            keySig,
-          };
-        });
-
-        setNotes(analyzed);
+        const nextScore = diffMode
+          ? composeFromDiff(editor.getValue(), currentOptions())
+          : composeFromSource(editor.getValue(), currentOptions());
+        setScore(nextScore);
+        return nextScore;
       } catch (error) {
         console.error('[CodeToMusicPlayer] Error analyzing code:', error);
-        setNotes([]);
+        setScore(EMPTY_SCORE);
+        return EMPTY_SCORE;
       }
     };
 
-    editor.on('change', analyzeCode);
+    // Live mode sounds the edited line straight away and recomposes once typing
+    // pauses; loading a file or project (and typing outside live mode) composes at once
+    let composeTimer = null;
+    editor.on('change', (cm, change) => {
+      sourceRef.current = editor.getValue();
+      clearTimeout(composeTimer);
+      if (!liveMode || change.origin === 'setValue') {
+        analyzeCode();
+        return;
+      }
+      const line = editor.getCursor().line + 1;
+      if (diffMode) {
+        // A diff line's note depends on the hunk around it, so it sounds once composed
+        composeTimer = setTimeout(() => {
+          auditionRef.current?.(analyzeCode().notes.find(note => note.line === line));
+        }, COMPOSE_DELAY);
+        return;
+      }
+      try {
+        auditionRef.current?.(composeLine(editor.getValue(), line, currentOptions()));
+      } catch (error) {
+        console.error('[CodeToMusicPlayer] Error analyzing line:', error);
+      }
+      composeTimer = setTimeout(analyzeCode, COMPOSE_DELAY);
+    });
     analyzeCode();
+    recomposeRef.current = analyzeCode;
+
+    // The lines under the cursor or selection light up their notes
+    editor.on('cursorActivity', () => {
+      const from = editor.getCursor('from').line + 1;
+      const to = editor.getCursor('to').line + 1;
+      setSelectedLines(lines => (lines?.from === from && lines?.to === to ? lines : { from, to }));
+    });
+
+    // Clicking or dragging over lines plays them once the button is released
+    let pointerSelecting = false;
+    editor.on('mousedown', () => {
+      pointerSelecting = true;
+    });
+    const onMouseUp = () => {
+      if (!pointerSelecting) return;
+      pointerSelecting = false;
+      auditionLinesRef.current?.(editor.getCursor('from').line + 1, editor.getCursor('to').line + 1);
+    };
+    window.addEventListener('mouseup', onMouseUp);
 
     return () => {
+      clearTimeout(composeTimer);
+      window.removeEventListener('mouseup', onMouseUp);
       if (editorRef.current) {
         editorRef.current.innerHTML = '';
       }
     };
-  }, [filename, darkMode]);
+  }, [filename, commentMode, harmony, motifs, metrics, drums, profile, mode, transpose, diffMode, liveMode, darkMode]);
 
-  // ✅ Render VexFlow with sanitized notes
+  // ✅ Render the grand staff (re-layouts and grows with the piece)
   useEffect(() => {
-    if (!canvasRef.current || notes.length === 0) return;
+    if (!scoreRef.current) return;
 
     try {
-      const canvas = canvasRef.current;
-      const renderer = new VF.Renderer(canvas, VF.Renderer.Backends.SVG);
-      renderer.resize(800, 300);
-
-      const context = renderer.getContext();
-      context.setBackgroundFillStyle(darkMode ? '#1f2937' : '#f9fafb');
-      context.setStrokeStyle(darkMode ? '#f9fafb' : '#111827');
-      context.setFont('Arial', 14, '');
-
-      const firstNote = notes[0];
-      const stave = new VF.Stave(20, 20, 750);
-      stave
-        .addClef('treble')
-        .addTimeSignature(firstNote.timeSig)
-        .addKeySignature(firstNote.keySig)
-        .setContext(context)
-        .draw();
-
-const vexNotes = notes
-  .map(note => {
-    const safeNote = sanitizeNoteForVexFlow(note.noteName);
-    if (!safeNote.match(/^([A-G])(#?)(\d)$/)) {
-      console.warn("Skipping invalid note:", note.noteName);
-      return null;
+      const { noteElements } = renderScore(scoreRef.current, score, { darkMode, width: 800 });
+      noteElementsRef.current = noteElements;
+      markSelectedNotes(noteElements, score.notes, selectedLinesRef.current);
+    } catch (error) {
+      console.error('[CodeToMusicPlayer] Error rendering VexFlow:', error);
     }
-    return new VF.StaveNote({
-      clef: 'treble',
-      keys: [safeNote],
-      duration: note.duration.replace('n', ''),
-    });
-  })
-  .filter(note => note !== null); // Remove any skipped notes
+  }, [score, darkMode]);
+
+  useEffect(() => {
+    if (overridesRef.current === overrides) return;
+    overridesRef.current = overrides;
+    recomposeRef.current?.();
+  }, [overrides]);
 
+  useEffect(() => {
+    selectedLinesRef.current = selectedLines;
+    markSelectedNotes(noteElementsRef.current, notes, selectedLines);
+  }, [selectedLines]);
 
-      const beats = parseInt(firstNote.timeSig.split('/')[0]);
-      const beatValue = parseInt(firstNote.timeSig.split('/')[1]);
-      const voice = new VF.Voice({ num_beats: beats, beat_value: beatValue }).setStrict(false);
-      voice.addTickables(vexNotes);
+  // Keep the Transport in sync with the current score, tempo and loop region
+  useEffect(() => {
+    playerRef.current?.load(score);
+  }, [score]);
 
-      const formatter = new VF.Formatter().joinVoices([voice]).format([voice], 700);
-      voice.draw(context, stave);
-    } catch (error) {
-      console.error('[CodeToMusicPlayer] Error rendering VexFlow:', error);
+  useEffect(() => {
+    playerRef.current?.setTempo(tempo);
+  }, [tempo]);
+
+  useEffect(() => {
+    playerRef.current?.setLoop(loopLines ? getLineRangeBeats(score, loopLines.from, loopLines.to) : null);
+  }, [score, loopLines]);
+
+  useEffect(() => () => playerRef.current?.dispose(), []);
+
+  // A shared link restores its composition on load and when the hash changes;
+  // otherwise the page reopens the last autosave
+  useEffect(() => {
+    const openHash = async () => {
+      try {
+        const project = await decodeProjectHash(window.location.hash);
+        if (project) applyProject(project);
+        return project !== null;
+      } catch (error) {
+        console.error('Shared link failed:', error);
+        alert(`Could not open the shared composition: ${error.message}`);
+        return false;
+      }
+    };
+
+    const restore = async () => {
+      try {
+        if (await openHash()) return;
+        const autosave = await getLatestAutosave();
+        if (autosave) applyProject(readProject(autosave.project));
+      } catch (error) {
+        console.error('Autosave restore failed:', error);
+      } finally {
+        libraryReadyRef.current = true;
+      }
+    };
+
+    restore();
+    window.addEventListener('hashchange', openHash);
+    return () => window.removeEventListener('hashchange', openHash);
+  }, []);
+
+  // Autosave the buffer and settings shortly after each change (imported MIDI has no source to save)
+  useEffect(() => {
+    if (!libraryReadyRef.current || score.metadata.source === 'midi') return;
+    const timer = setTimeout(async () => {
+      try {
+        await autosaveComposition(sessionIdRef.current, getProject(), score);
+        setAutosavedAt(Date.now());
+      } catch (error) {
+        console.error('Autosave failed:', error);
+      }
+    }, AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [score, tempo]);
+
+  // Playhead: highlight the sounding line in CodeMirror and its note on the staff
+  const showPlayhead = (event, seconds) => {
+    // Drum hits share their line with the melody note already highlighted
+    if (event.percussion) return;
+    setPlayhead(event.startBeat);
+    const cmEditor = cmRef.current;
+    const lineIndex = event.line - 1;
+
+    // Imported MIDI without provenance has no line
+    if (cmEditor && event.line != null) {
+      try {
+        cmEditor.scrollIntoView({ line: lineIndex, ch: 0 });
+        cmEditor.addLineClass(lineIndex, 'wrap', 'highlight-line');
+        setTimeout(() => {
+          cmEditor.removeLineClass(lineIndex, 'wrap', 'highlight-line');
+        }, seconds * 1000);
+      } catch (e) { /* ignore */ }
     }
-  }, [notes, darkMode]);
 
-  // ✅ Play audio ONLY after user click — complies with autoplay policy
-  const playNotes = async () => {
-  if (notes.length === 0 || isPlaying) return;
+    (noteElementsRef.current[event.noteIndex] || []).forEach(element => {
+      element.classList.add('playhead-note');
+      setTimeout(() => element.classList.remove('playhead-note'), seconds * 1000);
+    });
+  };
 
-  setIsPlaying(true);
+  // ✅ Create the player ONLY after user click — complies with autoplay policy
+  const getPlayer = async () => {
+    if (playerRef.current) return playerRef.current;
 
-  try {
     // ✅ DYNAMIC IMPORT: Load Tone.js ONLY when user clicks
     const Tone = await import('tone');
-
-    // Start audio context (allowed after user gesture)
-    //await Tone.start();
-    //await Tone.getContext().resume();
-
     if (Tone.context && typeof Tone.context.resume === 'function') {
-    await Tone.context.resume();
+      await Tone.context.resume();
     }
 
-    //const now = Tone.now();
-    const now = Tone.Transport.now();
-    let time = now;
-    const cmEditor = editorRef.current?.CodeMirror;
-
-    notes.forEach((note, index) => {
-      let SynthClass;
-      let options = {};
-
-      if (note.instrument === 'pluck') {
-        SynthClass = Tone.PluckSynth;
-      } else if (note.instrument === 'marimba') {
-        SynthClass = Tone.MetalSynth;
-      } else if (note.instrument === 'strings') {
-        SynthClass = Tone.Synth;
-        options = {
-          oscillator: { type: 'triangle' },
-          envelope: { attack: 0.5, decay: 0.5, sustain: 1, release: 1 }
-        };
-      } else if (note.instrument === 'organ') {
-        SynthClass = Tone.Synth;
-        options = {
-          oscillator: { type: 'sine' },
-          envelope: { attack: 0.1, decay: 0.2, sustain: 0.8, release: 1 }
-        };
+    const player = createTransportPlayer(Tone, {
+      onNote: showPlayhead,
+      onStateChange: setPlayerState,
+    });
+    player.setTempo(tempo);
+    player.load(score);
+    player.setLoop(loopLines ? getLineRangeBeats(score, loopLines.from, loopLines.to) : null);
+    playerRef.current = player;
+    return player;
+  };
+
+  const togglePlay = async () => {
+    if (notes.length === 0) return;
+    try {
+      const player = await getPlayer();
+      if (playerState === 'started') {
+        player.pause();
       } else {
-        SynthClass = Tone.Synth;
+        player.play();
       }
+    } catch (err) {
+      console.error('Failed to play notes:', err);
+      alert('Audio engine failed to load. Please try again.');
+    }
+  };
 
-      // ✅ Now SynthClass is guaranteed defined
-      const synth = new Tone.PolySynth(SynthClass, {
-        ...options,
-        voices: 6,
-        volume: -12
-      });
-      synth.toMaster();
-
-      synth.triggerAttackRelease(note.noteName, note.duration, time, note.velocity);
-
-      // Highlight code line
-      if (cmEditor) {
-        try {
-          cmEditor.setCursor({ line: index, ch: 0 });
-          cmEditor.addLineClass(index, 'wrap', 'highlight-line');
-          setTimeout(() => {
-            cmEditor.removeLineClass(index, 'wrap', 'highlight-line');
-          }, 100 + (Tone.Time(note.duration).toSeconds() * 1000));
-        } catch (e) { /* ignore */ }
-      }
+  // Live mode: sound the note of the line being typed, unless the piece is playing
+  const auditionLine = async (note) => {
+    if (!liveMode || !audition || playerState === 'started') return;
+    if (!note || note.isRest) return;
+    try {
+      (await getPlayer()).audition(note);
+    } catch (error) {
+      console.error('Audition failed:', error);
+    }
+  };
+  auditionRef.current = auditionLine;
 
-      time += Tone.Time(note.duration).toSeconds() + 0.1;
-    });
+  // Play the notes of a line range (clicked or selected), unless the piece is playing
+  const auditionLines = async (from, to) => {
+    if (!linkAudio || playerState === 'started') return;
+    const lineNotes = notes.filter(n => n.line >= from && n.line <= to).slice(0, MAX_AUDITION_NOTES);
+    if (!lineNotes.some(n => !n.isRest)) return;
+    try {
+      (await getPlayer()).auditionNotes(lineNotes);
+    } catch (error) {
+      console.error('Audition failed:', error);
+    }
+  };
+  auditionLinesRef.current = auditionLines;
 
-    setTimeout(() => setIsPlaying(false), (time - now) * 1000);
-  } catch (err) {
-    console.error('Failed to play notes:', err);
-    setIsPlaying(false);
-    alert('Audio engine failed to load. Please try again.');
-  }
-};
+  // Hover: light up a note on the staff and its line in the editor (null clears)
+  const hoverNote = (index) => {
+    const cmEditor = cmRef.current;
+    const previous = hoveredRef.current;
+    if (previous) {
+      (noteElementsRef.current[previous.index] || []).forEach(element => element.classList.remove('hover-note'));
+      if (previous.line != null) cmEditor?.removeLineClass(previous.line - 1, 'wrap', 'hover-line');
+    }
+    hoveredRef.current = null;
+
+    const note = notes[index];
+    if (!note) return;
+    (noteElementsRef.current[index] || []).forEach(element => element.classList.add('hover-note'));
+    if (cmEditor && note.line != null && note.line <= cmEditor.lineCount()) {
+      cmEditor.addLineClass(note.line - 1, 'wrap', 'hover-line');
+    }
+    hoveredRef.current = { index, line: note.line };
+  };
+
+  // Click on a note (staff or table): put the cursor on its line, play it and edit it
+  const jumpToNote = (index) => {
+    const note = notes[index];
+    const cmEditor = cmRef.current;
+    if (!note) return;
+    if (canOverride) setEditingKey(lineKeys[index]);
+    if (cmEditor && note.line != null && note.line <= cmEditor.lineCount()) {
+      cmEditor.setCursor({ line: note.line - 1, ch: 0 });
+      cmEditor.scrollIntoView({ line: note.line - 1, ch: 0 }, 80);
+      cmEditor.focus();
+    }
+    if (linkAudio && playerState !== 'started' && !note.isRest) {
+      getPlayer()
+        .then(player => player.audition(note))
+        .catch(error => console.error('Audition failed:', error));
+    }
+  };
+
+  // Set fields of a note by hand; the pitch comes as shown, so transposition is taken back out
+  const overrideNote = (key, { midi, ...changes }) => {
+    const pitch = midi === undefined ? {} : { pitch: midiToNoteName(midi - (score.metadata.transpose || 0)) };
+    setOverrides(current => ({ ...current, [key]: { ...current[key], ...changes, ...pitch } }));
+  };
+
+  const resetOverride = (key) => {
+    setOverrides(({ [key]: removed, ...rest }) => (Object.keys(rest).length ? rest : NO_OVERRIDES));
+  };
+
+  // Staff events are delegated: drawn notes carry data-note-index
+  const getStaffNoteIndex = (event) => {
+    const element = event.target.closest?.('[data-note-index]');
+    return element ? Number(element.getAttribute('data-note-index')) : null;
+  };
+
+  const stopPlayback = () => {
+    playerRef.current?.stop();
+    setPlayhead(0);
+  };
+
+  const seek = (beat) => {
+    setPlayhead(beat);
+    playerRef.current?.seek(beat);
+  };
+
+  // Loop the lines selected in the editor (or clear the loop)
+  const toggleLoop = () => {
+    if (loopLines) {
+      setLoopLines(null);
+      return;
+    }
+    const cmEditor = cmRef.current;
+    if (!cmEditor) return;
+    const from = cmEditor.getCursor('from').line + 1;
+    const to = cmEditor.getCursor('to').line + 1;
+    if (!getLineRangeBeats(score, from, to)) {
+      alert('The selected lines have no notes to loop.');
+      return;
+    }
+    setLoopLines({ from, to });
+  };
 
   const exportMIDI = () => {
     if (notes.length === 0) return;
     try {
-      generateMIDI(notes, 120);
+      generateMIDI(score, tempo);
     } catch (error) {
       console.error('MIDI export failed:', error);
     }
   };
 
+  const exportMusicXML = () => {
+    if (notes.length === 0) return;
+    try {
+      const xml = generateMusicXML(score, { tempo });
+      const blob = new Blob([xml], { type: 'application/vnd.recordare.musicxml+xml' });
+      saveAs(blob, 'code2score_composition.musicxml');
+    } catch (error) {
+      console.error('MusicXML export failed:', error);
+    }
+  };
+
+  const exportAudio = async () => {
+    if (notes.length === 0 || isRendering) return;
+    setIsRendering(true);
+    try {
+      const Tone = await import('tone');
+      const wav = await renderScoreToWAV(Tone, score, { tempo });
+      saveAs(new Blob([wav], { type: 'audio/wav' }), 'code2score_composition.wav');
+    } catch (error) {
+      console.error('Audio export failed:', error);
+      alert('Audio export failed. Please try again.');
+    } finally {
+      setIsRendering(false);
+    }
+  };
+
+  const importMIDI = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      const buffer = await file.arrayBuffer();
+      const imported = scoreFromMIDI(parseMIDI(buffer), { filename: file.name });
+      setScore(imported);
+      // Within the tempo slider's range
+      setTempo(Math.min(240, Math.max(40, Math.round(imported.metadata.tempo))));
+    } catch (error) {
+      console.error('MIDI import failed:', error);
+      alert(`Could not import ${file.name}: ${error.message}`);
+    } finally {
+      e.target.value = '';
+    }
+  };
+
+  const getProject = () => createProject({
+    source: sourceRef.current,
+    filename,
+    profile,
+    mode,
+    tempo,
+    transpose,
+    commentMode,
+    harmony,
+    motifs,
+    metrics,
+    drums,
+    diffMode,
+    overrides,
+  });
+
+  // Put a project's code and settings in place; the editor recomposes from them
+  const applyProject = (project) => {
+    sourceRef.current = project.source;
+    cmRef.current?.setValue(project.source);
+    setFilename(project.filename);
+    setProfile(project.profile);
+    setMode(project.mode);
+    setCommentMode(project.commentMode);
+    setHarmony(project.harmony);
+    setMotifs(project.motifs);
+    setMetrics(project.metrics);
+    setDrums(project.drums);
+    setDiffMode(project.diffMode);
+    setTempo(project.tempo);
+    setTranspose(project.transpose);
+    setOverrides(project.overrides);
+    setEditingKey(null);
+    setLoopLines(null);
+  };
+
+  const restoreFromLibrary = (entry) => {
+    try {
+      applyProject(readProject(entry.project));
+    } catch (error) {
+      console.error('Library restore failed:', error);
+      alert(`Could not restore "${entry.name}": ${error.message}`);
+    }
+  };
+
+  const saveProject = () => {
+    const blob = new Blob([stringifyProject(getProject())], { type: 'application/json' });
+    saveAs(blob, `code2score${PROJECT_FILE_EXTENSION}`);
+  };
+
+  // Share the composition as a link; too big for a URL, it is saved as a project file instead
+  const shareLink = async () => {
+    try {
+      const { url, tooLong } = await createShareLink(getProject(), window.location.href.split('#')[0]);
+      if (tooLong) {
+        alert(`This composition is too long for a link. Saving a ${PROJECT_FILE_EXTENSION} project file to send instead.`);
+        saveProject();
+        return;
+      }
+      window.history.replaceState(null, '', url);
+      await navigator.clipboard?.writeText(url);
+      alert('Link copied to the clipboard.');
+    } catch (error) {
+      console.error('Share link failed:', error);
+      alert('Could not create a link; the address bar has it if copying was blocked.');
+    }
+  };
+
+  const openProject = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      applyProject(parseProjectFile(await file.text()));
+    } catch (error) {
+      console.error('Project import failed:', error);
+      alert(`Could not open ${file.name}: ${error.message}`);
+    } finally {
+      e.target.value = '';
+    }
+  };
+
   const handleFileTypeChange = (e) => {
     setFilename(e.target.value);
   };
 
+  // Overrides belong to the editor's file, so repository movements are composed without them
+  const composeOptions = useMemo(
+    () => ({ commentMode, harmony, motifs, metrics, drums, profile, mode, transpose }),
+    [commentMode, harmony, motifs, metrics, drums, profile, mode, transpose]
+  );
+
+  // Diff mode: the editor holds a unified diff; a compared pair of versions replaces it
+  const showDiff = (diffText) => {
+    sourceRef.current = diffText;
+    cmRef.current?.setValue(diffText);
+  };
+
+  // Show a repository movement in the editor, composed with its real filename
+  const openMovement = ({ path, source }) => {
+    sourceRef.current = source;
+    if (path === filename) {
+      cmRef.current?.setValue(source);
+    } else {
+      // Notes set by hand belong to the file they were set in
+      setOverrides(NO_OVERRIDES);
+      setFilename(path);
+    }
+  };
+
+  // A profile brings its own comment handling and drums; the controls can still override them
+  const handleProfileChange = (nextProfile) => {
+    setProfile(nextProfile);
+    setCommentMode(nextProfile.comments);
+    setDrums(nextProfile.percussion.enabled);
+  };
+
   return (
     <div style={{
       background: 'var(--bg-secondary)',
@@ -290,12 +675,201 @@ const vexNotes = notes
             color: 'var(--text-primary)',
           }}
         >
-          <option value="example.js">JavaScript (.js)</option>
-          <option value="example.py">Python (.py)</option>
-          <option value="example.php">PHP (.php)</option>
-          <option value="example.java">Java (.java)</option>
-          <option value="example.go">Go (.go)</option>
+          {SIMULATED_FILES.map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+          {!SIMULATED_FILES.some(([value]) => value === filename) && (
+            <option value={filename}>{filename}</option>
+          )}
+        </select>
+
+        <label style={{ fontWeight: '500' }}>Mode:</label>
+        <select
+          value={mode || ''}
+          onChange={(e) => setMode(e.target.value || null)}
+          title="The tonic still comes from the file type"
+          style={{
+            padding: '0.5rem',
+            borderRadius: '6px',
+            border: '1px solid var(--border-color)',
+            background: 'var(--bg-primary)',
+            color: 'var(--text-primary)',
+          }}
+        >
+          <option value="">From file type</option>
+          {Object.entries(MODES).map(([value, { label }]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+
+        <label style={{ fontWeight: '500' }}>Comments:</label>
+        <select
+          value={commentMode}
+          onChange={(e) => setCommentMode(e.target.value)}
+          style={{
+            padding: '0.5rem',
+            borderRadius: '6px',
+            border: '1px solid var(--border-color)',
+            background: 'var(--bg-primary)',
+            color: 'var(--text-primary)',
+          }}
+        >
+          <option value="timbre">Distinct timbre</option>
+          <option value="rest">Rests</option>
+          <option value="code">Treat as code</option>
         </select>
+
+        <label style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', fontWeight: '500' }}>
+          <input
+            type="checkbox"
+            checked={harmony}
+            disabled={diffMode}
+            onChange={(e) => setHarmony(e.target.checked)}
+          />
+          Harmony (chords + bass)
+        </label>
+
+        <label
+          style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', fontWeight: '500' }}
+          title="Each function or class gets a rehearsal letter and a motif that returns at every call"
+        >
+          <input
+            type="checkbox"
+            checked={motifs}
+            disabled={diffMode}
+            onChange={(e) => setMotifs(e.target.checked)}
+          />
+          Motifs (functions → sections)
+        </label>
+
+        <label
+          style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', fontWeight: '500' }}
+          title="Complex functions play louder, faster and more dissonant; nesting swells and fades"
+        >
+          <input
+            type="checkbox"
+            checked={metrics}
+            disabled={diffMode}
+            onChange={(e) => setMetrics(e.target.checked)}
+          />
+          Expression (code metrics)
+        </label>
+
+        <label style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', fontWeight: '500' }}>
+          <input
+            type="checkbox"
+            checked={drums}
+            onChange={(e) => setDrums(e.target.checked)}
+          />
+          Drums (from punctuation)
+        </label>
+
+        <label style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', fontWeight: '500' }}>
+          <input
+            type="checkbox"
+            checked={diffMode}
+            onChange={(e) => setDiffMode(e.target.checked)}
+          />
+          Diff mode
+        </label>
+
+        <label
+          style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', fontWeight: '500' }}
+          title="Recompose only the changed lines and redraw once typing pauses"
+        >
+          <input
+            type="checkbox"
+            checked={liveMode}
+            onChange={(e) => setLiveMode(e.target.checked)}
+          />
+          Live coding
+        </label>
+
+        <label style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', fontWeight: '500' }}>
+          <input
+            type="checkbox"
+            checked={audition}
+            disabled={!liveMode}
+            onChange={(e) => setAudition(e.target.checked)}
+          />
+          Play the line as I type
+        </label>
+
+        <label style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', fontWeight: '500' }}>
+          <input
+            type="checkbox"
+            checked={linkAudio}
+            onChange={(e) => setLinkAudio(e.target.checked)}
+          />
+          Play clicked notes and lines
+        </label>
+      </div>
+
+      {diffMode && <DiffPanel filename={filename} onDiff={showDiff} />}
+
+      <ProfilePanel profile={profile} onChange={handleProfileChange} />
+
+      <LibraryPanel
+        getProject={getProject}
+        score={score}
+        autosavedAt={autosavedAt}
+        onRestore={restoreFromLibrary}
+      />
+
+      <RepositoryPanel
+        composeOptions={composeOptions}
+        tempo={tempo}
+        activePath={filename}
+        onOpenMovement={openMovement}
+      />
+
+      <div style={{ marginBottom: '1rem', display: 'flex', gap: '1.5rem', flexWrap: 'wrap', alignItems: 'center' }}>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontWeight: '500' }}>
+          Tempo:
+          <input
+            type="range"
+            min="40"
+            max="240"
+            value={tempo}
+            onChange={(e) => setTempo(Number(e.target.value))}
+          />
+          <span style={{ minWidth: '4.5rem' }}>{tempo} BPM</span>
+        </label>
+
+        <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontWeight: '500' }}>
+          Transpose:
+          <select
+            value={transpose}
+            onChange={(e) => setTranspose(Number(e.target.value))}
+            style={{
+              padding: '0.5rem',
+              borderRadius: '6px',
+              border: '1px solid var(--border-color)',
+              background: 'var(--bg-primary)',
+              color: 'var(--text-primary)',
+            }}
+          >
+            {Array.from({ length: 25 }, (_, i) => i - 12).map(semitones => (
+              <option key={semitones} value={semitones}>
+                {semitones > 0 ? `+${semitones}` : semitones} semitones
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontWeight: '500', flex: 1 }}>
+          Position:
+          <input
+            type="range"
+            min="0"
+            max={score.metadata.totalBeats || 0}
+            step="0.25"
+            value={Math.min(playhead, score.metadata.totalBeats || 0)}
+            onChange={(e) => seek(Number(e.target.value))}
+            style={{ flex: 1 }}
+          />
+          <span style={{ minWidth: '5rem' }}>beat {Math.floor(playhead) + 1}</span>
+        </label>
       </div>
 
       <div
@@ -311,22 +885,61 @@ const vexNotes = notes
 
       <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap', marginBottom: '1.5rem' }}>
         <button
-          onClick={playNotes}
-          disabled={isPlaying}
+          onClick={togglePlay}
+          disabled={notes.length === 0}
           style={{
             padding: '0.75rem 1.5rem',
-            background: isPlaying ? '#6b7280' : 'var(--button-primary)',
+            background: notes.length === 0 ? '#6b7280' : 'var(--button-primary)',
             color: 'white',
             border: 'none',
             borderRadius: '8px',
-            cursor: isPlaying ? 'not-allowed' : 'pointer',
+            cursor: notes.length === 0 ? 'not-allowed' : 'pointer',
             fontWeight: '600',
             display: 'flex',
             alignItems: 'center',
             gap: '0.5rem',
           }}
         >
-          {isPlaying ? '▶️ Playing...' : '▶️ Play Symphony'}
+          {playerState === 'started' ? '⏸️ Pause' : '▶️ Play Symphony'}
+        </button>
+
+        <button
+          onClick={stopPlayback}
+          disabled={playerState === 'stopped'}
+          style={{
+            padding: '0.75rem 1.5rem',
+            background: playerState === 'stopped' ? '#6b7280' : '#dc2626',
+            color: 'white',
+            border: 'none',
+            borderRadius: '8px',
+            cursor: playerState === 'stopped' ? 'not-allowed' : 'pointer',
+            fontWeight: '600',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.5rem',
+          }}
+        >
+          ⏹️ Stop
+        </button>
+
+        <button
+          onClick={toggleLoop}
+          disabled={notes.length === 0}
+          title="Select lines in the editor, then loop them"
+          style={{
+            padding: '0.75rem 1.5rem',
+            background: loopLines ? '#f59e0b' : '#6b7280',
+            color: 'white',
+            border: 'none',
+            borderRadius: '8px',
+            cursor: notes.length === 0 ? 'not-allowed' : 'pointer',
+            fontWeight: '600',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.5rem',
+          }}
+        >
+          🔁 {loopLines ? `Looping L${loopLines.from}–${loopLines.to}` : 'Loop selection'}
         </button>
 
         <button
@@ -347,6 +960,130 @@ const vexNotes = notes
         >
           💾 Export MIDI
         </button>
+
+        <button
+          onClick={exportMusicXML}
+          disabled={notes.length === 0}
+          style={{
+            padding: '0.75rem 1.5rem',
+            background: notes.length === 0 ? '#6b7280' : '#7c3aed',
+            color: 'white',
+            border: 'none',
+            borderRadius: '8px',
+            cursor: notes.length === 0 ? 'not-allowed' : 'pointer',
+            fontWeight: '600',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.5rem',
+          }}
+        >
+          🎼 Export MusicXML
+        </button>
+
+        <button
+          onClick={exportAudio}
+          disabled={notes.length === 0 || isRendering}
+          style={{
+            padding: '0.75rem 1.5rem',
+            background: notes.length === 0 || isRendering ? '#6b7280' : '#db2777',
+            color: 'white',
+            border: 'none',
+            borderRadius: '8px',
+            cursor: notes.length === 0 || isRendering ? 'not-allowed' : 'pointer',
+            fontWeight: '600',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.5rem',
+          }}
+        >
+          {isRendering ? '🎧 Rendering...' : '🎧 Export audio'}
+        </button>
+
+        <button
+          onClick={() => midiInputRef.current?.click()}
+          style={{
+            padding: '0.75rem 1.5rem',
+            background: '#0891b2',
+            color: 'white',
+            border: 'none',
+            borderRadius: '8px',
+            cursor: 'pointer',
+            fontWeight: '600',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.5rem',
+          }}
+        >
+          📂 Import MIDI
+        </button>
+        <input
+          ref={midiInputRef}
+          type="file"
+          accept=".mid,.midi,audio/midi"
+          onChange={importMIDI}
+          style={{ display: 'none' }}
+        />
+
+        <button
+          onClick={shareLink}
+          style={{
+            padding: '0.75rem 1.5rem',
+            background: '#059669',
+            color: 'white',
+            border: 'none',
+            borderRadius: '8px',
+            cursor: 'pointer',
+            fontWeight: '600',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.5rem',
+          }}
+        >
+          🔗 Share link
+        </button>
+
+        <button
+          onClick={saveProject}
+          style={{
+            padding: '0.75rem 1.5rem',
+            background: '#0d9488',
+            color: 'white',
+            border: 'none',
+            borderRadius: '8px',
+            cursor: 'pointer',
+            fontWeight: '600',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.5rem',
+          }}
+        >
+          📦 Save project
+        </button>
+
+        <button
+          onClick={() => projectInputRef.current?.click()}
+          style={{
+            padding: '0.75rem 1.5rem',
+            background: '#0e7490',
+            color: 'white',
+            border: 'none',
+            borderRadius: '8px',
+            cursor: 'pointer',
+            fontWeight: '600',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.5rem',
+          }}
+        >
+          📂 Open project
+        </button>
+        <input
+          ref={projectInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={openProject}
+          style={{ display: 'none' }}
+        />
       </div>
 
       <div style={{
@@ -355,14 +1092,31 @@ const vexNotes = notes
         borderRadius: '8px',
         border: '1px solid var(--border-color)',
       }}>
-        <canvas
-          ref={canvasRef}
-          width="800"
-          height="300"
-          style={{ maxWidth: '100%', height: 'auto' }}
-        ></canvas>
+        <div
+          ref={scoreRef}
+          onClick={(e) => {
+            const index = getStaffNoteIndex(e);
+            if (index !== null) jumpToNote(index);
+          }}
+          onMouseOver={(e) => {
+            const index = getStaffNoteIndex(e);
+            if (index !== (hoveredRef.current?.index ?? null)) hoverNote(index);
+          }}
+          onMouseLeave={() => hoverNote(null)}
+          style={{ maxWidth: '100%', overflowX: 'auto' }}
+        ></div>
       </div>
 
+      {canOverride && editingIndex !== -1 && (
+        <NoteEditor
+          note={notes[editingIndex]}
+          override={overrides[editingKey]}
+          onChange={(changes) => overrideNote(editingKey, changes)}
+          onReset={() => resetOverride(editingKey)}
+          onClose={() => setEditingKey(null)}
+        />
+      )}
+
       {notes.length > 0 && (
         <details style={{
           marginTop: '1.5rem',
@@ -376,19 +1130,94 @@ const vexNotes = notes
           </summary>
           <div style={{ fontSize: '0.875rem', lineHeight: '1.6', marginTop: '1rem' }}>
             <p>
-              <strong>Time Sig:</strong> {notes[0]?.timeSig} | <strong>Key:</strong> {notes[0]?.keySig}
+              <strong>Time Sig:</strong> {score.metadata.timeSig} | <strong>Key:</strong> {score.metadata.keySig} | <strong>Measures:</strong> {score.measures.length}
+              {score.metadata.transpose ? <> | <strong>Transposed:</strong> {score.metadata.transpose > 0 ? '+' : ''}{score.metadata.transpose}</> : null}
+              {score.metadata.profile && <> | <strong>Profile:</strong> {score.metadata.profile.name}</>}
+              {score.metadata.diff && (
+                <> | <strong>Diff:</strong> +{score.metadata.diff.added} −{score.metadata.diff.removed}</>
+              )}
+              {score.metadata.overridden > 0 && (
+                <> | <strong>Set by hand:</strong> {score.metadata.overridden} notes{' '}
+                  <button onClick={() => setOverrides(NO_OVERRIDES)} style={{ cursor: 'pointer' }}>↺ Reset all</button></>
+              )}
+              {score.metadata.source === 'midi' && (
+                <> | <strong>Imported:</strong> {score.metadata.filename}
+                  {score.metadata.hasProvenance ? ' (with line provenance)' : ''}</>
+              )}
+            </p>
+            {score.metadata.phrases?.length > 0 && (
+              <p>
+                <strong>Sections:</strong>{' '}
+                {score.metadata.phrases.map(phrase =>
+                  `${phrase.letter} ${phrase.name} (L${phrase.line}–${phrase.endLine}, bar ${phrase.measure})`
+                ).join(' • ')}
+              </p>
+            )}
+            {score.metadata.functions?.length > 0 && (
+              <p>
+                <strong>Metrics:</strong>{' '}
+                {score.metadata.functions.map(fn =>
+                  `${fn.name} (L${fn.line}: complexity ${fn.complexity}, nesting ${fn.nesting}, ${fn.length} lines → ${fn.dynamic}, tempo ×${fn.tempo})`
+                ).join(' • ')}
+              </p>
+            )}
+            <p>
+              <strong>Parts:</strong>{' '}
+              {score.parts.map(part => {
+                const count = part.voice === 'drums' ? `${score.drums.length} hits` : part.noteIndexes.length;
+                const merged = part.merged ? ` + ${part.merged.join(', ')}` : '';
+                return `${part.label}${merged} (ch ${part.channel + 1}, ${count})`;
+              }).join(' • ')}
             </p>
-            <ul style={{ paddingLeft: '1.25rem' }}>
-              {notes.map((note, i) => (
-                <li key={i}>
-                  <strong>L{i+1}:</strong> <code>{note.content.trim()}</code> → 
-                  <span style={{ color: '#d946ef', fontWeight: '600' }}> {note.noteName}</span> → 
-                  <span style={{ color: '#0e9f6e' }}> {sanitizeNoteForVexFlow(note.noteName)}</span> | 
-                  <span style={{ color: '#059669' }}> {note.duration}</span> | 
-                  <span style={{ color: '#dc2626' }}> vol: {note.velocity.toFixed(2)}</span>
-                </li>
-              ))}
-            </ul>
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ textAlign: 'left', borderBottom: '1px solid var(--border-color)' }}>
+                  <th>Line</th>
+                  <th>Code</th>
+                  <th>Pitch</th>
+                  <th>VexFlow</th>
+                  <th>Duration</th>
+                  <th>Instrument</th>
+                  <th>Vol</th>
+                  <th>Motif</th>
+                </tr>
+              </thead>
+              <tbody>
+                {notes.map((note, i) => {
+                  const selected = selectedLines && note.line >= selectedLines.from && note.line <= selectedLines.to;
+                  // Values set by hand are bold and underlined
+                  const manual = (field) => (note.override?.[field] !== undefined
+                    ? { fontWeight: '700', textDecoration: 'underline dotted' }
+                    : {});
+                  return (
+                    <tr
+                      key={i}
+                      onClick={() => jumpToNote(i)}
+                      onMouseEnter={() => hoverNote(i)}
+                      onMouseLeave={() => hoverNote(null)}
+                      style={{ cursor: 'pointer', background: selected ? 'var(--highlight)' : 'transparent' }}
+                    >
+                      <td>
+                        <strong>L{note.line ?? '—'}</strong>
+                        {note.override && <span title="Set by hand"> ✏️</span>}
+                        {note.change === 'added' && <span style={{ color: '#16a34a', fontWeight: '600' }}> +</span>}
+                        {note.change === 'removed' && <span style={{ color: '#dc2626', fontWeight: '600' }}> −</span>}
+                      </td>
+                      <td><code>{note.content.trim()}</code></td>
+                      <td>
+                        <span style={{ color: '#d946ef', fontWeight: '600', ...manual('pitch') }}>{note.chord ? note.chord.join('-') : note.noteName}</span>
+                        {note.bass && <span style={{ color: '#7c3aed' }}> / {note.bass}</span>}
+                      </td>
+                      <td style={{ color: '#0e9f6e' }}>{toVexKey(note.noteName)}</td>
+                      <td style={{ color: '#059669', ...manual('duration') }}>{note.duration}{note.isRest ? ' rest' : ''}</td>
+                      <td style={{ color: '#2563eb', ...manual('instrument') }}>{note.instrument}{note.accent ? ' >' : ''}</td>
+                      <td style={{ color: '#dc2626', ...manual('velocity') }}>{note.velocity.toFixed(2)}</td>
+                      <td style={{ color: '#f59e0b' }}>{note.motif || ''}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
           </div>
         </details>
       )}
@@ -0,0 +1,97 @@
+// src/components/DiffPanel.jsx
+
+import React, { useState } from 'react';
+import { diffLines, formatUnifiedDiff } from './utils/diff';
+
+const textareaStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  padding: '0.5rem',
+  borderRadius: '6px',
+  border: '1px solid var(--border-color)',
+  background: 'var(--bg-primary)',
+  color: 'var(--text-primary)',
+  fontFamily: 'monospace',
+  fontSize: '0.8rem',
+};
+
+/**
+ * Compare two versions of a file; the resulting unified diff goes to the editor.
+ * A diff can also be pasted into the editor directly.
+ * @param {{ filename: string, onDiff: (diffText: string) => void }} props
+ *   filename: used for the diff headers (and so the key) unless a file is uploaded
+ */
+export default function DiffPanel({ filename, onDiff }) {
+  const [before, setBefore] = useState('');
+  const [after, setAfter] = useState('');
+  const [name, setName] = useState(null);
+
+  const upload = (setText) => async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setText(await file.text());
+    setName(file.name);
+    e.target.value = '';
+  };
+
+  const compare = () => {
+    const path = name || filename;
+    const diffText = formatUnifiedDiff(diffLines(before, after), { oldPath: `a/${path}`, newPath: `b/${path}` });
+    if (!diffText) {
+      alert('The two versions are identical.');
+      return;
+    }
+    onDiff(diffText);
+  };
+
+  const side = (label, text, setText) => (
+    <label style={{ flex: 1, minWidth: '240px', display: 'flex', flexDirection: 'column', gap: '0.25rem', fontWeight: '500' }}>
+      <span>
+        {label}{' '}
+        <input type="file" accept=".txt,.js,.jsx,.ts,.tsx,.py,.php,.java,.go,.c,.cpp,.rb,.rs,.swift" onChange={upload(setText)} />
+      </span>
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        spellCheck={false}
+        rows={8}
+        style={textareaStyle}
+      />
+    </label>
+  );
+
+  return (
+    <div style={{
+      marginBottom: '1rem',
+      background: 'var(--bg-primary)',
+      padding: '1rem',
+      borderRadius: '8px',
+      border: '1px solid var(--border-color)',
+    }}>
+      <p style={{ margin: '0 0 0.75rem', color: 'var(--text-secondary)' }}>
+        🔀 Paste a unified diff into the editor, or compare two versions here.
+        <span style={{ color: '#16a34a' }}> Added</span> lines play normally,
+        <span style={{ color: '#dc2626' }}> removed</span> lines as a muted counter-melody.
+      </p>
+      <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap' }}>
+        {side('Before', before, setBefore)}
+        {side('After', after, setAfter)}
+      </div>
+      <button
+        onClick={compare}
+        style={{
+          marginTop: '0.75rem',
+          padding: '0.5rem 1rem',
+          background: 'var(--button-primary)',
+          color: 'white',
+          border: 'none',
+          borderRadius: '6px',
+          cursor: 'pointer',
+          fontWeight: '600',
+        }}
+      >
+        🔀 Compare
+      </button>
+    </div>
+  );
+}
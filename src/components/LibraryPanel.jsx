@@ -0,0 +1,147 @@
+// src/components/LibraryPanel.jsx
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { listCompositions, saveSnapshot, deleteComposition } from './utils/projectLibrary';
+
+const controlStyle = {
+  padding: '0.5rem',
+  borderRadius: '6px',
+  border: '1px solid var(--border-color)',
+  background: 'var(--bg-primary)',
+  color: 'var(--text-primary)',
+};
+
+const buttonStyle = (background) => ({
+  padding: '0.5rem 1rem',
+  background,
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontWeight: '600',
+});
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString([], {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+});
+
+/**
+ * Saved compositions: take named snapshots, search, restore and delete.
+ * Autosaves from the player show up here as history.
+ * @param {{ getProject: () => object, score: object, autosavedAt: number|null,
+ *   onRestore: (entry: object) => void }} props
+ *   autosavedAt: time of the last autosave, refreshes the list
+ */
+export default function LibraryPanel({ getProject, score, autosavedAt, onRestore }) {
+  const [entries, setEntries] = useState([]);
+  const [query, setQuery] = useState('');
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setEntries(await listCompositions(query));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [query]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh, autosavedAt]);
+
+  const takeSnapshot = async () => {
+    try {
+      await saveSnapshot(name, getProject(), score);
+      setName('');
+      refresh();
+    } catch (err) {
+      setError(`Could not save: ${err.message}`);
+    }
+  };
+
+  const remove = async (entry) => {
+    if (!window.confirm(`Delete "${entry.name}"?`)) return;
+    try {
+      await deleteComposition(entry.id);
+      refresh();
+    } catch (err) {
+      setError(`Could not delete: ${err.message}`);
+    }
+  };
+
+  return (
+    <details style={{
+      marginBottom: '1rem',
+      background: 'var(--bg-primary)',
+      padding: '1rem',
+      borderRadius: '8px',
+      border: '1px solid var(--border-color)',
+    }}>
+      <summary style={{ fontWeight: '600', cursor: 'pointer' }}>
+        🗂️ Library ({entries.length} saved)
+        {autosavedAt && (
+          <span style={{ fontWeight: 'normal', color: 'var(--text-secondary)' }}>
+            {' '}• autosaved {new Date(autosavedAt).toLocaleTimeString()}
+          </span>
+        )}
+      </summary>
+
+      <div style={{ display: 'flex', gap: '0.75rem', flexWrap: 'wrap', alignItems: 'center', marginTop: '1rem' }}>
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && takeSnapshot()}
+          placeholder="Snapshot name"
+          style={controlStyle}
+        />
+        <button onClick={takeSnapshot} style={buttonStyle('var(--button-primary)')}>
+          📸 Save snapshot
+        </button>
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search name, file or code"
+          style={{ ...controlStyle, flex: 1, minWidth: '180px' }}
+        />
+      </div>
+
+      {error && <p style={{ color: '#dc2626', fontSize: '0.875rem', margin: '0.5rem 0 0' }}>{error}</p>}
+
+      {entries.length > 0 ? (
+        <ul style={{ listStyle: 'none', margin: '0.75rem 0 0', padding: 0, maxHeight: '260px', overflowY: 'auto', fontSize: '0.875rem' }}>
+          {entries.map(entry => (
+            <li
+              key={entry.id}
+              style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', padding: '0.3rem 0', borderBottom: '1px solid var(--border-color)' }}
+            >
+              <span style={{ flex: 1 }}>
+                {entry.kind === 'autosave' ? '🕒' : '📸'} <strong>{entry.name}</strong>
+                <span style={{ color: 'var(--text-secondary)' }}>
+                  {' '}• <code>{entry.filename}</code> • {entry.keySig} • {entry.timeSig} • {entry.noteCount} notes • {formatTime(entry.updatedAt)}
+                </span>
+              </span>
+              <button onClick={() => onRestore(entry)} style={buttonStyle('#0891b2')}>
+                ↩️ Restore
+              </button>
+              <button onClick={() => remove(entry)} style={buttonStyle('#dc2626')}>
+                🗑️
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        !error && (
+          <p style={{ color: 'var(--text-secondary)', margin: '0.75rem 0 0' }}>
+            {query ? 'No saved compositions match.' : 'Nothing saved yet.'}
+          </p>
+        )
+      )}
+    </details>
+  );
+}
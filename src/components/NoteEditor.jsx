@@ -0,0 +1,118 @@
+// src/components/NoteEditor.jsx
+
+import React from 'react';
+import { getFittingDurations } from './utils/composer';
+import { INSTRUMENTS, MELODIC_INSTRUMENTS } from './utils/instruments';
+
+const controlStyle = {
+  padding: '0.35rem',
+  borderRadius: '6px',
+  border: '1px solid var(--border-color)',
+  background: 'var(--bg-primary)',
+  color: 'var(--text-primary)',
+};
+
+const stepStyle = {
+  ...controlStyle,
+  cursor: 'pointer',
+  minWidth: '2.25rem',
+};
+
+const rowStyle = { display: 'flex', alignItems: 'center', gap: '0.4rem' };
+
+/**
+ * Set one line's note by hand. The change is stored as an override keyed by
+ * the line's text, so the code stays as it is.
+ * @param {{ note: object, override: object|undefined, onChange: (changes: object) => void,
+ *   onReset: () => void, onClose: () => void }} props
+ *   note: the note as it sounds (transposed); override: the fields already set by hand;
+ *   onChange gets { midi } (as shown), { duration }, { velocity } or { instrument }
+ */
+export default function NoteEditor({ note, override = {}, onChange, onReset, onClose }) {
+  const label = (text, field) => (
+    <span style={{ width: '5.5rem', fontWeight: override[field] !== undefined ? '700' : '500' }}>
+      {override[field] !== undefined ? '✏️ ' : ''}{text}
+    </span>
+  );
+  const shiftPitch = (semitones) => onChange({ midi: Math.min(Math.max(note.midiNote + semitones, 0), 127) });
+
+  return (
+    <div style={{
+      position: 'fixed',
+      right: '1rem',
+      bottom: '1rem',
+      zIndex: 10,
+      width: '22rem',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '0.5rem',
+      background: 'var(--bg-primary)',
+      padding: '1rem',
+      borderRadius: '8px',
+      border: '1px solid var(--border-color)',
+      boxShadow: '0 4px 16px rgba(0, 0, 0, 0.2)',
+      fontSize: '0.875rem',
+    }}>
+      <div style={{ ...rowStyle, justifyContent: 'space-between' }}>
+        <strong>✏️ Line {note.line}</strong>
+        <button onClick={onClose} title="Close" style={{ ...stepStyle, minWidth: 0 }}>✖</button>
+      </div>
+      <code style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{note.content.trim()}</code>
+
+      {!note.isRest && (
+        <div style={rowStyle}>
+          {label('Pitch', 'pitch')}
+          <button onClick={() => shiftPitch(-12)} title="Octave down" style={stepStyle}>⏬</button>
+          <button onClick={() => shiftPitch(-1)} title="Semitone down" style={stepStyle}>🔽</button>
+          <strong style={{ minWidth: '3rem', textAlign: 'center', color: '#d946ef' }}>{note.noteName}</strong>
+          <button onClick={() => shiftPitch(1)} title="Semitone up" style={stepStyle}>🔼</button>
+          <button onClick={() => shiftPitch(12)} title="Octave up" style={stepStyle}>⏫</button>
+        </div>
+      )}
+
+      <label style={rowStyle}>
+        {label('Duration', 'duration')}
+        <select value={note.duration} onChange={(e) => onChange({ duration: e.target.value })} style={controlStyle}>
+          {getFittingDurations(note.timeSig).map(duration => (
+            <option key={duration} value={duration}>{duration}</option>
+          ))}
+        </select>
+      </label>
+
+      {!note.isRest && (
+        <>
+          <label style={rowStyle}>
+            {label('Velocity', 'velocity')}
+            <input
+              type="range"
+              min="0.05"
+              max="1"
+              step="0.05"
+              value={note.velocity}
+              onChange={(e) => onChange({ velocity: Number(e.target.value) })}
+              style={{ flex: 1 }}
+            />
+            <span style={{ width: '2.5rem' }}>{note.velocity.toFixed(2)}</span>
+          </label>
+
+          <label style={rowStyle}>
+            {label('Instrument', 'instrument')}
+            <select value={note.instrument} onChange={(e) => onChange({ instrument: e.target.value })} style={controlStyle}>
+              {MELODIC_INSTRUMENTS.map(name => (
+                <option key={name} value={name}>{INSTRUMENTS[name].label}</option>
+              ))}
+            </select>
+          </label>
+        </>
+      )}
+
+      <button
+        onClick={onReset}
+        disabled={Object.keys(override).length === 0}
+        style={{ ...stepStyle, alignSelf: 'flex-start' }}
+      >
+        ↺ Back to the code's note
+      </button>
+    </div>
+  );
+}
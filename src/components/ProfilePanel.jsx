@@ -0,0 +1,179 @@
+// src/components/ProfilePanel.jsx
+
+import React, { useRef, useState, useEffect } from 'react';
+import { saveAs } from 'file-saver';
+import { BUILT_IN_PROFILES, parseProfile, resolveProfile } from './utils/mappingProfiles';
+
+const STORAGE_KEY = 'mappingProfiles';
+
+const toJSON = (profile) => JSON.stringify(profile, null, 2);
+
+const controlStyle = {
+  padding: '0.5rem',
+  borderRadius: '6px',
+  border: '1px solid var(--border-color)',
+  background: 'var(--bg-primary)',
+  color: 'var(--text-primary)',
+};
+
+const buttonStyle = (background) => ({
+  padding: '0.5rem 1rem',
+  background,
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontWeight: '600',
+});
+
+/**
+ * Pick, edit, import and export mapping profiles. Custom profiles are kept in
+ * localStorage; built-in ones can be edited and saved under a new id.
+ * @param {{ profile: object, onChange: (profile: object) => void }} props
+ *   profile: the active (resolved) profile
+ */
+export default function ProfilePanel({ profile, onChange }) {
+  const fileInputRef = useRef(null);
+  const [customProfiles, setCustomProfiles] = useState(() => {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      return saved ? JSON.parse(saved) : [];
+    } catch {
+      return [];
+    }
+  });
+  const [text, setText] = useState(() => toJSON(profile));
+  const [errors, setErrors] = useState([]);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(customProfiles));
+  }, [customProfiles]);
+
+  // Follow profiles set from outside, e.g. by a shared link
+  useEffect(() => {
+    setText(toJSON(profile));
+  }, [profile]);
+
+  const allProfiles = [...BUILT_IN_PROFILES, ...customProfiles];
+  const isListed = allProfiles.some(p => p.id === profile.id);
+  const isBuiltIn = BUILT_IN_PROFILES.some(p => p.id === profile.id);
+
+  const selectProfile = (id) => {
+    const selected = allProfiles.find(p => p.id === id);
+    if (!selected) return;
+    const resolved = resolveProfile(selected);
+    setText(toJSON(resolved));
+    setErrors([]);
+    onChange(resolved);
+  };
+
+  // Validate the JSON, store it as a custom profile and make it active
+  const applyText = (json) => {
+    const { profile: parsed, errors: problems } = parseProfile(json);
+    if (!parsed) {
+      setErrors(problems);
+      return;
+    }
+    if (BUILT_IN_PROFILES.some(p => p.id === parsed.id)) {
+      setErrors([`id: "${parsed.id}" is a built-in profile, choose another id to save your changes`]);
+      return;
+    }
+    setCustomProfiles(profiles => [...profiles.filter(p => p.id !== parsed.id), parsed]);
+    setText(toJSON(parsed));
+    setErrors([]);
+    onChange(parsed);
+  };
+
+  const deleteProfile = () => {
+    setCustomProfiles(profiles => profiles.filter(p => p.id !== profile.id));
+    selectProfile(BUILT_IN_PROFILES[0].id);
+  };
+
+  const exportProfile = () => {
+    const blob = new Blob([toJSON(profile)], { type: 'application/json' });
+    saveAs(blob, `${profile.id}.mapping.json`);
+  };
+
+  const importProfile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      applyText(await file.text());
+    } catch (error) {
+      setErrors([`Could not read ${file.name}: ${error.message}`]);
+    } finally {
+      e.target.value = '';
+    }
+  };
+
+  return (
+    <details style={{
+      marginBottom: '1rem',
+      background: 'var(--bg-primary)',
+      padding: '1rem',
+      borderRadius: '8px',
+      border: '1px solid var(--border-color)',
+    }}>
+      <summary style={{ fontWeight: '600', cursor: 'pointer' }}>
+        🎛️ Mapping profile: {profile.name}
+      </summary>
+
+      <div style={{ display: 'flex', gap: '0.75rem', flexWrap: 'wrap', alignItems: 'center', marginTop: '1rem' }}>
+        <select value={profile.id} onChange={(e) => selectProfile(e.target.value)} style={controlStyle}>
+          {allProfiles.map(p => (
+            <option key={p.id} value={p.id}>
+              {p.name}{BUILT_IN_PROFILES.includes(p) ? '' : ' (custom)'}
+            </option>
+          ))}
+          {!isListed && <option value={profile.id}>{profile.name} (shared)</option>}
+        </select>
+        <button onClick={() => applyText(text)} style={buttonStyle('var(--button-primary)')}>
+          ✅ Save & apply
+        </button>
+        <button onClick={() => fileInputRef.current?.click()} style={buttonStyle('#0891b2')}>
+          📂 Import
+        </button>
+        <button onClick={exportProfile} style={buttonStyle('#4f46e5')}>
+          💾 Export
+        </button>
+        {!isBuiltIn && (
+          <button onClick={deleteProfile} style={buttonStyle('#dc2626')}>
+            🗑️ Delete
+          </button>
+        )}
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={importProfile}
+          style={{ display: 'none' }}
+        />
+      </div>
+
+      {profile.description && (
+        <p style={{ color: 'var(--text-secondary)', margin: '0.75rem 0 0' }}>{profile.description}</p>
+      )}
+
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        spellCheck={false}
+        rows={14}
+        style={{
+          ...controlStyle,
+          width: '100%',
+          boxSizing: 'border-box',
+          marginTop: '0.75rem',
+          fontFamily: 'monospace',
+          fontSize: '0.8rem',
+        }}
+      />
+
+      {errors.length > 0 && (
+        <ul style={{ color: '#dc2626', fontSize: '0.875rem', margin: '0.5rem 0 0', paddingLeft: '1.25rem' }}>
+          {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+    </details>
+  );
+}
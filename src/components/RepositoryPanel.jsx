@@ -0,0 +1,190 @@
+// src/components/RepositoryPanel.jsx
+
+import React, { useRef, useState, useMemo } from 'react';
+import { composeMovements, combineMovements } from './utils/repository';
+import { readFileList, readZipFile, readDataTransfer } from './utils/repositoryLoader';
+import { generateMIDI } from './utils/midiGenerator';
+
+const buttonStyle = (background) => ({
+  padding: '0.5rem 1rem',
+  background,
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontWeight: '600',
+});
+
+/**
+ * Whole-repository mode: load a folder or .zip, list one movement per file,
+ * open a movement in the editor, export every movement as one MIDI file
+ * @param {{ composeOptions: object, tempo: number, activePath: string,
+ *   onOpenMovement: (movement: { path: string, source: string }) => void }} props
+ *   composeOptions: commentMode / harmony / motifs / metrics / drums / profile, shared with the editor
+ */
+export default function RepositoryPanel({ composeOptions, tempo, activePath, onOpenMovement }) {
+  const folderInputRef = useRef(null);
+  const zipInputRef = useRef(null);
+  const [repository, setRepository] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isDragging, setIsDragging] = useState(false);
+
+  const movements = useMemo(
+    () => (repository ? composeMovements(repository.files, composeOptions) : []),
+    [repository, composeOptions]
+  );
+
+  const load = async (name, read) => {
+    setIsLoading(true);
+    try {
+      const { files, skipped } = await read();
+      setRepository({ name, files, skipped });
+      if (files.length === 0) alert(`No source files found in ${name}.`);
+    } catch (error) {
+      console.error('Repository import failed:', error);
+      alert(`Could not open ${name}: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const openFolder = (e) => {
+    const files = e.target.files;
+    if (files?.length) {
+      const name = files[0].webkitRelativePath?.split('/')[0] || 'folder';
+      load(name, () => readFileList(files));
+    }
+    e.target.value = '';
+  };
+
+  const openZip = (e) => {
+    const file = e.target.files?.[0];
+    if (file) load(file.name, () => readZipFile(file));
+    e.target.value = '';
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    const { dataTransfer } = e;
+    const name = dataTransfer.files[0]?.name || 'dropped files';
+    // readDataTransfer takes the entries synchronously, before the drop event ends
+    const reading = readDataTransfer(dataTransfer);
+    load(name, () => reading);
+  };
+
+  const exportRepositoryMIDI = () => {
+    if (movements.length === 0) return;
+    try {
+      generateMIDI(combineMovements(movements, { filename: repository.name }), tempo);
+    } catch (error) {
+      console.error('Repository MIDI export failed:', error);
+    }
+  };
+
+  return (
+    <div
+      onDragOver={(e) => {
+        e.preventDefault();
+        setIsDragging(true);
+      }}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={handleDrop}
+      style={{
+        marginBottom: '1rem',
+        background: 'var(--bg-primary)',
+        padding: '1rem',
+        borderRadius: '8px',
+        border: `1px ${isDragging ? 'solid #0891b2' : 'dashed var(--border-color)'}`,
+      }}
+    >
+      <div style={{ display: 'flex', gap: '0.75rem', flexWrap: 'wrap', alignItems: 'center' }}>
+        <strong>📚 Repository</strong>
+        <span style={{ color: 'var(--text-secondary)', flex: 1 }}>
+          {isLoading
+            ? 'Reading files...'
+            : repository
+              ? `${repository.name}: ${movements.length} movements, ${repository.skipped.length} files skipped`
+              : 'Drop a folder or .zip here to compose one movement per file'}
+        </span>
+        <button onClick={() => folderInputRef.current?.click()} style={buttonStyle('#0891b2')}>
+          📁 Open folder
+        </button>
+        <button onClick={() => zipInputRef.current?.click()} style={buttonStyle('#0e7490')}>
+          🗜️ Open .zip
+        </button>
+        {repository && (
+          <>
+            <button
+              onClick={exportRepositoryMIDI}
+              disabled={movements.length === 0}
+              style={buttonStyle(movements.length === 0 ? '#6b7280' : '#4f46e5')}
+            >
+              💾 Export all as MIDI
+            </button>
+            <button onClick={() => setRepository(null)} style={buttonStyle('#6b7280')}>
+              ✖️ Close
+            </button>
+          </>
+        )}
+        <input
+          ref={folderInputRef}
+          type="file"
+          webkitdirectory=""
+          directory=""
+          multiple
+          onChange={openFolder}
+          style={{ display: 'none' }}
+        />
+        <input
+          ref={zipInputRef}
+          type="file"
+          accept=".zip,application/zip"
+          onChange={openZip}
+          style={{ display: 'none' }}
+        />
+      </div>
+
+      {movements.length > 0 && (
+        <ol style={{ margin: '0.75rem 0 0', paddingLeft: '1.5rem', maxHeight: '220px', overflowY: 'auto', fontSize: '0.875rem' }}>
+          {movements.map(movement => {
+            const { keySig, timeSig, noteCount } = movement.score.metadata;
+            const isActive = movement.path === activePath;
+            return (
+              <li key={movement.path} style={{ padding: '0.2rem 0' }}>
+                <button
+                  onClick={() => onOpenMovement(movement)}
+                  style={{
+                    background: isActive ? 'var(--button-primary)' : 'none',
+                    color: isActive ? 'white' : 'var(--text-primary)',
+                    border: 'none',
+                    borderRadius: '4px',
+                    padding: '0.1rem 0.4rem',
+                    cursor: 'pointer',
+                    fontFamily: 'monospace',
+                  }}
+                >
+                  {movement.path}
+                </button>
+                <span style={{ color: 'var(--text-secondary)' }}>
+                  {' '}{keySig} • {timeSig} • {noteCount} notes • {movement.score.measures.length} bars
+                </span>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
+      {repository?.skipped.length > 0 && (
+        <details style={{ marginTop: '0.5rem', fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+          <summary style={{ cursor: 'pointer' }}>Skipped files</summary>
+          <ul style={{ margin: '0.25rem 0 0', paddingLeft: '1.25rem' }}>
+            {repository.skipped.map(({ path, reason }) => (
+              <li key={path}><code>{path}</code> — {reason}</li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+// src/components/utils/arranger.js
+// Groups score notes into parts (one voice per instrument) with MIDI channels
+
+import { getInstrumentInfo, PERCUSSION_CHANNEL } from './instruments';
+
+// MIDI has 16 channels and the drums keep one
+export const MAX_MELODIC_PARTS = 15;
+
+/**
+ * Assign a MIDI channel to each melodic part, skipping the percussion channel
+ * @param {number} partIndex - index among melodic parts, below MAX_MELODIC_PARTS
+ * @returns {number} 0-based MIDI channel
+ */
+const melodicChannel = (partIndex) =>
+  (partIndex >= PERCUSSION_CHANNEL ? partIndex + 1 : partIndex);
+
+/**
+ * Pitches a note sounds in a given voice: the melody note (or its chord in
+ * harmony mode), or the bass note
+ * @param {object} note - score note
+ * @param {'melody'|'bass'|'drums'} voice
+ * @returns {string[]} Note names, empty for rests or when the voice is silent
+ */
+export const getNotePitches = (note, voice = 'melody') => {
+  // A rest in the melody can still have a bass note (imported MIDI)
+  if (voice === 'bass') return note.bass ? [note.bass] : [];
+  if (note.isRest || voice === 'drums') return [];
+  return note.chord || [note.noteName];
+};
+
+/**
+ * Group notes into parts by instrument, in order of first appearance. In
+ * harmony mode the bass line gets its own part after the melodic ones, and a
+ * drum track adds a percussion part last (its hits live in `score.drums`).
+ * Every melodic part has a channel of its own; when there are more instruments
+ * than channels, the least used ones play in the most used one's part.
+ * @param {object[]} notes - score notes with an `instrument`
+ * @param {object[]} drums - drum hits from generateDrumHits
+ * @returns {object[]} Parts: { id, instrument, voice, label, program, channel, percussion, noteIndexes };
+ *   a part that took in other instruments lists them in `merged`
+ */
+export const arrangeParts = (notes = [], drums = []) => {
+  const parts = [];
+  const byInstrument = {};
+  let melodicCount = 0;
+
+  const createPart = (instrument, voice) => {
+    const info = getInstrumentInfo(instrument);
+    const part = {
+      id: `P${parts.length + 1}`,
+      instrument,
+      voice,
+      label: info.label,
+      program: info.program,
+      percussion: info.percussion,
+      channel: info.percussion ? PERCUSSION_CHANNEL : melodicChannel(melodicCount++),
+      noteIndexes: [],
+    };
+    parts.push(part);
+    return part;
+  };
+
+  const bassIndexes = notes.map((note, index) => (note.bass ? index : -1)).filter(i => i !== -1);
+
+  // Instruments in order of first appearance; the most used ones (first on a tie) get parts
+  const counts = new Map();
+  notes.forEach(note => counts.set(note.instrument, (counts.get(note.instrument) || 0) + 1));
+  const ranked = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a));
+  const kept = new Set(ranked.slice(0, MAX_MELODIC_PARTS - (bassIndexes.length > 0 ? 1 : 0)));
+  counts.forEach((count, instrument) => {
+    if (kept.has(instrument)) byInstrument[instrument] = createPart(instrument, 'melody');
+  });
+
+  notes.forEach((note, index) => {
+    let part = byInstrument[note.instrument];
+    if (!part) {
+      part = byInstrument[ranked[0]];
+      if (!part.merged) part.merged = [];
+      if (!part.merged.includes(note.instrument)) part.merged.push(note.instrument);
+    }
+    part.noteIndexes.push(index);
+  });
+
+  if (bassIndexes.length > 0) {
+    createPart('bass', 'bass').noteIndexes.push(...bassIndexes);
+  }
+
+  if (drums.length > 0) {
+    createPart('drums', 'drums');
+  }
+
+  return parts;
+};
@@ -0,0 +1,48 @@
+// src/components/utils/arranger.test.mjs
+// Parts and MIDI channels (run with `npm test`)
+
+import { register } from 'node:module';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+register('../../../bin/loader.mjs', import.meta.url);
+
+const { arrangeParts, MAX_MELODIC_PARTS } = await import('./arranger.js');
+const { MELODIC_INSTRUMENTS, PERCUSSION_CHANNEL } = await import('./instruments.js');
+
+// `count` notes of each instrument, in order
+const notesOf = (instruments, { bass = false } = {}) =>
+  instruments.flatMap(([instrument, count]) => Array.from({ length: count }, () => ({
+    instrument,
+    noteName: 'C4',
+    ...(bass && { bass: 'C2' }),
+  })));
+
+test('parts follow first appearance, bass and drums last', () => {
+  const parts = arrangeParts(notesOf([['piano', 2], ['harp', 1], ['piano', 1]], { bass: true }), [{ beat: 0 }]);
+  assert.deepEqual(parts.map(part => [part.instrument, part.voice, part.channel]), [
+    ['piano', 'melody', 0], ['harp', 'melody', 1], ['bass', 'bass', 2], ['drums', 'drums', PERCUSSION_CHANNEL],
+  ]);
+  assert.deepEqual(parts[0].noteIndexes, [0, 1, 3]);
+  assert.ok(parts.every(part => !part.merged));
+});
+
+test('more instruments than channels: the least used join the most used part', () => {
+  // piano is used most, then every other melodic instrument once, the last few on a tie
+  const instruments = [['piano', 5], ...MELODIC_INSTRUMENTS.filter(name => name !== 'piano').map(name => [name, 1])];
+  assert.ok(instruments.length > MAX_MELODIC_PARTS);
+  const notes = notesOf(instruments, { bass: true });
+  const parts = arrangeParts(notes, [{ beat: 0 }]);
+  const melodic = parts.filter(part => !part.percussion);
+
+  assert.equal(melodic.length, MAX_MELODIC_PARTS);
+  const channels = melodic.map(part => part.channel);
+  assert.equal(new Set(channels).size, channels.length);
+  assert.ok(channels.every(channel => channel >= 0 && channel <= 15 && channel !== PERCUSSION_CHANNEL));
+
+  const piano = parts.find(part => part.instrument === 'piano');
+  const dropped = instruments.map(([name]) => name).slice(MAX_MELODIC_PARTS - 1);
+  assert.deepEqual(piano.merged, dropped);
+  assert.equal(piano.noteIndexes.length, 5 + dropped.length);
+  assert.equal(parts.filter(part => part.voice === 'melody').reduce((sum, part) => sum + part.noteIndexes.length, 0), notes.length);
+});
@@ -0,0 +1,33 @@
+// src/components/utils/audioRenderer.js
+// Offline rendering of a score to WAV through Tone's OfflineContext
+
+import { scheduleScore, getScheduleDuration } from './noteScheduler';
+import { createVoiceBank } from './toneVoices';
+import { encodeWAV } from './wavEncoder';
+
+/**
+ * Render the whole piece offline with the same voices as live playback
+ * @param {object} Tone - the Tone.js module
+ * @param {object} score - from composeFromSource
+ * @param {{ tempo?: number, sampleRate?: number }} options
+ * @returns {Promise<Uint8Array>} 16-bit stereo PCM WAV bytes
+ */
+export const renderScoreToWAV = async (Tone, score, { tempo = 120, sampleRate = 44100 } = {}) => {
+  const events = scheduleScore(score, { tempo });
+  if (events.length === 0) throw new Error('Nothing to render: the score has no notes');
+
+  const buffer = await Tone.Offline(() => {
+    const getVoice = createVoiceBank(Tone);
+    events.forEach(event => {
+      getVoice(event.instrument).triggerAttackRelease(
+        event.pitches,
+        event.duration,
+        event.time,
+        event.velocity
+      );
+    });
+  }, getScheduleDuration(events), 2, sampleRate);
+
+  const data = buffer.toArray();
+  return encodeWAV(Array.isArray(data) ? data : [data], buffer.sampleRate);
+};
@@ -0,0 +1,407 @@
+// src/components/utils/composer.js
+// Pure composition engine: source code → structured score (no React, DOM or Tone)
+
+import {
+  getKeySignatureByExtension,
+  getTimeSignatureByAvgLength,
+  getInstrumentByTokens,
+  getDurationByTokens,
+  getAccentByTokens,
+  getVelocityAndOctaveByIndent,
+  getPitchOffset,
+  constrainNoteToKey,
+  transposeKey,
+  applyMode,
+  spellNote,
+} from './musicMapper';
+import { CLASSIC_PROFILE, resolveProfile, DURATIONS } from './mappingProfiles';
+import { Note } from '@tonaljs/tonal';
+import { getLanguageByExtension, tokenizeSource, tokenizeLine, isCommentOnly } from './tokenizer';
+import { arrangeParts } from './arranger';
+import { getBlockStructure, applyHarmony } from './harmony';
+import { applyMotifs } from './motifs';
+import { applyExpression } from './metrics';
+import { applyOverrides, applyOverride, getLineKeys } from './overrides';
+import { generateDrumHits } from './drumPattern';
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Length of each duration in quarter-note beats ("." = dotted, "t" = triplet)
+const DURATION_BEATS = {
+  '1n': 4,
+  '2n': 2,
+  '4n': 1,
+  '8n': 0.5,
+  '16n': 0.25,
+  '2n.': 3,
+  '4n.': 1.5,
+  '8n.': 0.75,
+  '16n.': 0.375,
+  '2t': 4 / 3,
+  '4t': 2 / 3,
+  '8t': 1 / 3,
+  '16t': 1 / 6,
+};
+
+/**
+ * Convert MIDI number → note name (sharps only), e.g. 61 → "C#4"
+ * @param {number} midi - MIDI note number (0–127)
+ * @returns {string} Note name, "C4" when out of range
+ */
+export const midiToNoteName = (midi) => {
+  if (typeof midi !== 'number' || midi < 0 || midi > 127) return 'C4';
+  const octave = Math.floor(midi / 12) - 1;
+  return `${NOTE_NAMES[midi % 12]}${octave}`;
+};
+
+/**
+ * Convert note name → MIDI number, e.g. "C#4" → 61
+ * @param {string} noteName - note with octave
+ * @returns {number|null} MIDI number, null when the name is not a valid note
+ */
+export const noteNameToMidi = (noteName) => Note.midi(noteName) ?? null;
+
+/**
+ * Length of a Tone-style duration in quarter-note beats
+ * @param {string} duration - e.g. "4n", "8n", "4n." (dotted), "8t" (triplet)
+ * @returns {number} Beats, 1 for unknown durations
+ */
+export const durationToBeats = (duration) => DURATION_BEATS[duration] ?? 1;
+
+/**
+ * Note value of a Tone-style duration, for notation
+ * @param {string} duration - e.g. "4n", "4n." (dotted), "8t" (triplet)
+ * @returns {{ value: number, dotted: boolean, triplet: boolean }} value: 1 = whole, 4 = quarter, …;
+ *   a plain quarter for unknown durations
+ */
+export const parseDuration = (duration) => {
+  const match = DURATION_BEATS[duration] !== undefined && /^(\d+)(n\.?|t)$/.exec(duration);
+  if (!match) return { value: 4, dotted: false, triplet: false };
+  return { value: Number(match[1]), dotted: match[2] === 'n.', triplet: match[2] === 't' };
+};
+
+/**
+ * Length of one measure in quarter-note beats
+ * @param {string} timeSig - e.g. "4/4", "6/8"
+ * @returns {number} Beats per measure, e.g. 4 for "4/4", 3 for "6/8"
+ */
+export const getMeasureBeats = (timeSig = '4/4') => {
+  const [beats, beatValue] = timeSig.split('/').map(n => parseInt(n, 10));
+  if (!beats || !beatValue) return 4;
+  return beats * (4 / beatValue);
+};
+
+/**
+ * Durations short enough for one measure of a time signature
+ * @param {string} timeSig - e.g. "3/4"
+ * @returns {string[]} From DURATIONS, e.g. without "1n" and "2n." in 2/4
+ */
+export const getFittingDurations = (timeSig) => {
+  const measureBeats = getMeasureBeats(timeSig);
+  // Triplet thirds don't add up exactly in floating point
+  return DURATIONS.filter(duration => DURATION_BEATS[duration] <= measureBeats + 1e-9);
+};
+
+/**
+ * Map a single source line to a note (pitch from the profile's pitch strategy,
+ * duration/accent/instrument from its tokens, velocity/octave from indent)
+ * @param {string} line - non-empty source line
+ * @param {string} keySig - key the pitch is constrained to
+ * @param {{ type: string, text: string }[]} tokens - tokens of the line
+ * @param {{ commentMode?: 'timbre'|'rest'|'code', profile?: object }} options
+ *   commentMode: how comment-only lines sound; profile: a resolved mapping profile
+ * @returns {object} Note fields without position or provenance
+ */
+export const analyzeLine = (
+  line,
+  keySig,
+  tokens = [],
+  { commentMode = 'timbre', profile = CLASSIC_PROFILE } = {}
+) => {
+  const length = line.length;
+  const lastChar = line.slice(-1);
+  const { velocity, octaveShift } = getVelocityAndOctaveByIndent(line, profile);
+  const comment = isCommentOnly(tokens);
+  const accent = !comment && getAccentByTokens(tokens);
+
+  const basePitch = profile.pitch.base + octaveShift * 12;
+  const midiNote = Math.min(basePitch + getPitchOffset(line, tokens, profile), 127);
+  const noteName = constrainNoteToKey(midiToNoteName(midiNote), keySig);
+
+  let instrument = getInstrumentByTokens(tokens, profile);
+  if (comment && commentMode === 'timbre') instrument = profile.commentInstrument;
+
+  return {
+    length,
+    lastChar,
+    midiNote,
+    noteName,
+    duration: getDurationByTokens(tokens, profile),
+    velocity: accent ? Math.min(velocity + profile.velocity.accent, 1) : velocity,
+    instrument,
+    accent,
+    isComment: comment,
+    isRest: comment && commentMode === 'rest',
+    tokens,
+  };
+};
+
+/**
+ * Lay notes out in measures. A note that would cross a bar line starts the next
+ * measure instead, and one longer than a whole measure is cut to the longest
+ * duration that fits, so every measure fits its time signature.
+ * @param {object[]} notes - notes with a `duration` (may be shortened)
+ * @param {string} timeSig - e.g. "4/4"
+ * @returns {object[]} Measures: { number, startBeat, noteIndexes }
+ */
+export const layoutMeasures = (notes, timeSig) => {
+  const measureBeats = getMeasureBeats(timeSig);
+  const longest = getFittingDurations(timeSig)
+    .reduce((best, duration) => (!best || DURATION_BEATS[duration] > DURATION_BEATS[best] ? duration : best), null);
+  const measures = [];
+  let current = null;
+  let beat = 0;
+
+  notes.forEach((note, index) => {
+    if (longest && durationToBeats(note.duration) > measureBeats + 1e-9) note.duration = longest;
+    const beats = durationToBeats(note.duration);
+    const used = current ? beat - current.startBeat : 0;
+    // Triplet thirds don't add up exactly in floating point
+    if (!current || (used + beats > measureBeats + 1e-9 && used > 0)) {
+      const startBeat = current ? current.startBeat + measureBeats : 0;
+      current = { number: measures.length + 1, startBeat, noteIndexes: [] };
+      measures.push(current);
+      beat = startBeat;
+    }
+
+    note.startBeat = beat;
+    note.measure = current.number;
+    current.noteIndexes.push(index);
+    beat += beats;
+  });
+
+  return measures;
+};
+
+// Shift a MIDI note, folding by octaves to stay in 0–127
+const shiftMidi = (midi, semitones) => {
+  let shifted = midi + semitones;
+  while (shifted > 127) shifted -= 12;
+  while (shifted < 0) shifted += 12;
+  return shifted;
+};
+
+// Respelled for the transposed key
+const transposeName = (noteName, semitones, key) => {
+  const midi = noteNameToMidi(noteName);
+  return midi === null ? noteName : spellNote(shiftMidi(midi, semitones), key);
+};
+
+/**
+ * Transpose every pitched note, chord, bass note and key of a score (drums stay put)
+ * @param {object} score - composed score
+ * @param {number} semitones - e.g. 2 (up a tone), -12 (down an octave)
+ * @returns {object} New score, or the same one when semitones is 0
+ */
+export const transposeScore = (score, semitones = 0) => {
+  if (!semitones) return score;
+  const keyOf = (key) => (key ? transposeKey(key, semitones) : key);
+
+  return {
+    ...score,
+    metadata: {
+      ...score.metadata,
+      keySig: keyOf(score.metadata.keySig),
+      transpose: semitones,
+      ...(score.metadata.sections && {
+        sections: score.metadata.sections.map(section => ({ ...section, keySig: keyOf(section.keySig) })),
+      }),
+    },
+    notes: score.notes.map(note => {
+      const keySig = keyOf(note.keySig);
+      if (note.isRest) return { ...note, keySig };
+      return {
+        ...note,
+        keySig,
+        midiNote: shiftMidi(note.midiNote, semitones),
+        noteName: transposeName(note.noteName, semitones, keySig),
+        ...(note.chord && { chord: note.chord.map(name => transposeName(name, semitones, keySig)) }),
+        ...(note.bass && { bass: transposeName(note.bass, semitones, keySig) }),
+      };
+    }),
+  };
+};
+
+// Entries a composition cache holds before it starts over
+const MAX_CACHED_LINES = 20000;
+
+/**
+ * Memo for composing the same file over and over while it is edited (live
+ * coding): unchanged lines reuse their tokens and note. A cache belongs to one
+ * filename and set of options; make a new one when they change.
+ * @returns {{ lines: Map, notes: Map }} Pass as `options.cache` to composeFromSource
+ */
+export const createCompositionCache = () => ({ lines: new Map(), notes: new Map() });
+
+const remember = (map, key, compute) => {
+  if (map.has(key)) return map.get(key);
+  if (map.size >= MAX_CACHED_LINES) map.clear();
+  const value = compute();
+  map.set(key, value);
+  return value;
+};
+
+// tokenizeSource, reusing lines seen before with the same carried-over state;
+// the key doubles as the line's identity for the note cache
+const tokenizeWithCache = (source, language, cache) => {
+  let state = {};
+  return source.split('\n').map(line => {
+    const key = `${state.blockComment ? '*' : ''}${state.quote || ''}\u0000${line}`;
+    const result = remember(cache.lines, key, () => tokenizeLine(line, language, state));
+    state = result.state;
+    return { tokens: result.tokens, key };
+  });
+};
+
+// Non-empty lines with their tokens, and the key, meter and line → note mapping
+// they share (see composeFromSource for the options)
+const prepareSource = (source, options) => {
+  const profile = resolveProfile(options.profile);
+  const { filename = 'example.js', commentMode = profile.comments, mode = null, cache } = options;
+  const language = getLanguageByExtension(filename);
+  const lineTokens = cache
+    ? tokenizeWithCache(source, language, cache)
+    : tokenizeSource(source, language).map(tokens => ({ tokens }));
+  const lines = source
+    .split('\n')
+    .map((content, i) => ({ content, line: i + 1, ...lineTokens[i] }))
+    .filter(({ content }) => content.trim() !== '');
+
+  const keySig = applyMode(getKeySignatureByExtension(filename, profile), mode);
+  const avgLength = lines.length
+    ? lines.reduce((sum, { content }) => sum + content.length, 0) / lines.length
+    : 0;
+  const timeSig = getTimeSignatureByAvgLength(avgLength, profile);
+
+  // With a cache, a line seen before (same text and carried-over state) keeps its note
+  const analyze = ({ content, tokens, key }) => {
+    const compute = () => analyzeLine(content, keySig, tokens, { commentMode, profile });
+    return cache ? remember(cache.notes, key, compute) : compute();
+  };
+  return { profile, filename, commentMode, language, lines, keySig, avgLength, timeSig, analyze };
+};
+
+/**
+ * The note one line plays on its own, to sound it while it is typed: the line's
+ * mapping, override and transposition, without harmony, motifs or metrics
+ * (those need the whole piece; see composeFromSource)
+ * @param {string} source - full file content
+ * @param {number} lineNumber - 1-based line
+ * @param {object} options - as for composeFromSource
+ * @returns {object|null} Note, null for an empty line
+ */
+export const composeLine = (source, lineNumber, options = {}) => {
+  const { lines, keySig, timeSig, analyze } = prepareSource(source, options);
+  const index = lines.findIndex(entry => entry.line === lineNumber);
+  if (index === -1) return null;
+
+  const entry = lines[index];
+  const note = { index: 0, line: entry.line, content: entry.content, ...analyze(entry), timeSig, keySig };
+  const override = options.overrides?.[getLineKeys(lines.map(({ content }) => content))[index]];
+  if (override) applyOverride(note, override);
+  return transposeScore({ metadata: {}, notes: [note] }, options.transpose).notes[0];
+};
+
+/**
+ * Compose a score from source code
+ * @param {string} source - full file content
+ * @param {{ filename?: string, commentMode?: 'timbre'|'rest'|'code', harmony?: boolean,
+ *   motifs?: boolean, metrics?: boolean, drums?: boolean, profile?: object, mode?: string,
+ *   transpose?: number, overrides?: object }} options
+ *   harmony: add chords on block open/close and a bass line for the outer scope
+ *   motifs: functions and classes become lettered sections whose name motif repeats at every call
+ *   metrics: each function's complexity, nesting and length set its dynamics, hairpins,
+ *   dissonance and tempo (see metrics.js)
+ *   drums: add a percussion track from punctuation
+ *   mode: play the extension's tonic in this mode (see MODES in keys.js) instead of the profile's
+ *   transpose: semitones to shift the finished score by
+ *   cache: from createCompositionCache, to recompute only the lines that changed
+ *   overrides: notes set by hand, by line key (see overrides.js); they win over everything
+ *   but transposition
+ *   profile: mapping profile (partial profiles are filled in from "classic");
+ *   commentMode and drums default to the profile's `comments` and `percussion.enabled`
+ * @returns {{ metadata: object, notes: object[], measures: object[], parts: object[], drums: object[] }}
+ *   metadata.phrases lists the sections: { letter, name, kind, line, endLine, noteIndex, beat, measure };
+ *   metadata.functions has the code metrics per function, metadata.tempoMap their tempo factors: { beat, scale };
+ *   metadata.overridden counts the notes changed by overrides
+ */
+export const composeFromSource = (source = '', options = {}) => {
+  const {
+    profile, filename, commentMode, language, lines, keySig, avgLength, timeSig, analyze,
+  } = prepareSource(source, options);
+  const {
+    harmony = false,
+    motifs = false,
+    metrics = false,
+    drums = profile.percussion.enabled,
+    transpose = 0,
+  } = options;
+  const notes = lines.map((entry, index) => ({
+    index,
+    line: entry.line,
+    content: entry.content,
+    ...analyze(entry),
+    timeSig,
+    keySig,
+  }));
+
+  // Motifs come first so that chords are built on the motif's pitches; dissonance
+  // from the metrics is added on top of the chords
+  const structure = harmony || motifs || metrics ? getBlockStructure(lines, language) : null;
+  const sections = motifs ? applyMotifs(notes, lines, structure, keySig, language) : [];
+  if (harmony) {
+    applyHarmony(notes, structure, keySig);
+  }
+  const expression = metrics ? applyExpression(notes, lines, structure, keySig, language) : null;
+  const overridden = applyOverrides(notes, options.overrides);
+
+  const measures = layoutMeasures(notes, timeSig);
+  const phrases = sections.map(section => ({
+    ...section,
+    beat: notes[section.noteIndex].startBeat,
+    measure: notes[section.noteIndex].measure,
+  }));
+  const tempoMap = (expression?.tempoChanges || []).map(({ noteIndex, scale }) => ({
+    beat: notes[noteIndex].startBeat,
+    scale,
+  }));
+  const drumHits = drums ? generateDrumHits(notes, timeSig, profile.percussion.hits) : [];
+  const last = notes[notes.length - 1];
+
+  return transposeScore({
+    metadata: {
+      filename,
+      language,
+      commentMode,
+      harmony,
+      motifs,
+      phrases,
+      metrics,
+      functions: expression ? expression.functions : [],
+      tempoMap,
+      overridden,
+      drums,
+      profile: { id: profile.id, name: profile.name },
+      keySig,
+      timeSig,
+      avgLength,
+      lineCount: source === '' ? 0 : source.split('\n').length,
+      noteCount: notes.length,
+      totalBeats: last ? last.startBeat + durationToBeats(last.duration) : 0,
+    },
+    notes,
+    measures,
+    parts: arrangeParts(notes, drumHits),
+    drums: drumHits,
+  }, transpose);
+};
@@ -0,0 +1,44 @@
+// src/components/utils/composer.test.mjs
+// Composing a file, and one line on its own while it is typed (run with `npm test`)
+
+import { register } from 'node:module';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+register('../../../bin/loader.mjs', import.meta.url);
+
+const { composeFromSource, composeLine, createCompositionCache } = await import('./composer.js');
+const { getLineKeys } = await import('./overrides.js');
+
+const SOURCE = [
+  'function total(items) {',
+  '  // add them up',
+  '  let sum = 0;',
+  '',
+  '  for (const item of items) sum += item.price;',
+  '  return sum;',
+  '}',
+].join('\n');
+
+const FIELDS = ['line', 'noteName', 'midiNote', 'duration', 'velocity', 'instrument', 'isRest', 'keySig'];
+const pick = (note) => Object.fromEntries(FIELDS.map(field => [field, note[field]]));
+
+test('composeLine gives the note the line has in the composed piece', () => {
+  [{}, { filename: 'total.py', mode: 'dorian' }, { transpose: 3 }, { cache: createCompositionCache() }].forEach(options => {
+    const score = composeFromSource(SOURCE, options);
+    score.notes.forEach(note => {
+      assert.deepEqual(pick(composeLine(SOURCE, note.line, options)), pick(note));
+    });
+  });
+});
+
+test('composeLine applies the line\'s override and skips empty lines', () => {
+  const keys = getLineKeys(SOURCE.split('\n').filter(line => line.trim()));
+  const overrides = { [keys[2]]: { pitch: 'E5', instrument: 'harp' } };
+  const note = composeLine(SOURCE, 3, { overrides, transpose: 2 });
+  assert.equal(note.noteName, 'F#5');
+  assert.equal(note.instrument, 'harp');
+  assert.deepEqual(note.override, { pitch: 'E5', instrument: 'harp' });
+  assert.equal(composeLine(SOURCE, 4), null);
+  assert.equal(composeLine(SOURCE, 99), null);
+});
@@ -0,0 +1,213 @@
+// src/components/utils/diff.js
+// Line diffs: compare two versions (Myers), and read/write unified diff text
+
+// Beyond this many edits the middle of the files is treated as fully replaced
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Shortest edit script between two line arrays (Myers' O(ND) algorithm)
+ * @returns {('equal'|'removed'|'added')[]|null} Operations in order, null when too far apart
+ */
+const myers = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d, offset + d + 1));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) return backtrack(trace, n, m);
+    }
+  }
+  return null;
+};
+
+// Walk the saved V arrays back from (n, m) to recover the edit script
+const backtrack = (trace, n, m) => {
+  const ops = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    const v = trace[d];
+    const at = (k) => v[k + d];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push('equal');
+      x--;
+      y--;
+    }
+    ops.push(x === prevX ? 'added' : 'removed');
+    x = prevX;
+    y = prevY;
+  }
+  while (x > 0 && y > 0) {
+    ops.push('equal');
+    x--;
+    y--;
+  }
+  return ops.reverse();
+};
+
+/**
+ * Compare two versions of a file line by line
+ * @param {string} oldText - previous version
+ * @param {string} newText - current version
+ * @returns {{ type: 'context'|'added'|'removed', content: string, oldLine: number|null,
+ *   newLine: number|null }[]} Every line of both versions in unified order
+ */
+export const diffLines = (oldText = '', newText = '') => {
+  const a = oldText === '' ? [] : oldText.split('\n');
+  const b = newText === '' ? [] : newText.split('\n');
+
+  // Common prefix and suffix are context; only the middle needs the diff
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const ops = myers(midA, midB) || [...midA.map(() => 'removed'), ...midB.map(() => 'added')];
+
+  const entries = [];
+  let i = 0;
+  let j = 0;
+  const push = (type) => {
+    if (type === 'context') {
+      entries.push({ type, content: b[j], oldLine: i + 1, newLine: j + 1 });
+      i++;
+      j++;
+    } else if (type === 'removed') {
+      entries.push({ type, content: a[i], oldLine: i + 1, newLine: null });
+      i++;
+    } else {
+      entries.push({ type, content: b[j], oldLine: null, newLine: j + 1 });
+      j++;
+    }
+  };
+
+  for (let k = 0; k < start; k++) push('context');
+  ops.forEach(op => push(op === 'equal' ? 'context' : op));
+  while (j < b.length) push('context');
+
+  return entries;
+};
+
+/**
+ * Format diff entries as a unified diff with hunks
+ * @param {object[]} entries - from diffLines
+ * @param {{ oldPath?: string, newPath?: string, context?: number }} options
+ * @returns {string} Unified diff text ("" when nothing changed)
+ */
+export const formatUnifiedDiff = (entries, { oldPath = 'a/file', newPath = 'b/file', context = 3 } = {}) => {
+  const changed = entries.map((entry, i) => (entry.type !== 'context' ? i : -1)).filter(i => i !== -1);
+  if (changed.length === 0) return '';
+
+  // Merge the changed lines (plus context around them) into hunks
+  const ranges = [];
+  changed.forEach(i => {
+    const from = Math.max(0, i - context);
+    const to = Math.min(entries.length - 1, i + context);
+    const last = ranges[ranges.length - 1];
+    if (last && from <= last.to + 1) {
+      last.to = Math.max(last.to, to);
+    } else {
+      ranges.push({ from, to });
+    }
+  });
+
+  const prefix = { context: ' ', added: '+', removed: '-' };
+  const lines = [`--- ${oldPath}`, `+++ ${newPath}`];
+  ranges.forEach(({ from, to }) => {
+    const hunk = entries.slice(from, to + 1);
+    const oldLines = hunk.filter(e => e.type !== 'added');
+    const newLines = hunk.filter(e => e.type !== 'removed');
+    // An empty side starts at the line before the hunk
+    const oldStart = oldLines.length ? oldLines[0].oldLine : entries.slice(0, from).filter(e => e.type !== 'added').length;
+    const newStart = newLines.length ? newLines[0].newLine : entries.slice(0, from).filter(e => e.type !== 'removed').length;
+    lines.push(`@@ -${oldStart},${oldLines.length} +${newStart},${newLines.length} @@`);
+    hunk.forEach(entry => lines.push(`${prefix[entry.type]}${entry.content}`));
+  });
+
+  return lines.join('\n');
+};
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+const FILE_HEADER = /^(diff |index |--- |\+\+\+ |new file mode|deleted file mode|similarity index|rename (from|to) )/;
+
+/**
+ * Read a unified diff (git diff, diff -u). Text without hunk headers is read
+ * line by line from the +/-/space prefixes, so a pasted fragment works too.
+ * @param {string} text - diff text
+ * @returns {{ path: string|null, entries: { type: string, content: string, oldLine: number|null,
+ *   newLine: number|null, diffLine: number }[] }} path: new-side path from the first "+++" header;
+ *   diffLine: 1-based line of the entry in the diff text
+ */
+export const parseUnifiedDiff = (text = '') => {
+  const lines = text.split('\n');
+  const hasHunks = lines.some(line => HUNK_HEADER.test(line));
+  const entries = [];
+  let path = null;
+  let oldLine = 1;
+  let newLine = 1;
+  // Lines left in the current hunk (from its header), so "--- x" inside a hunk is a removed line
+  let oldLeft = hasHunks ? 0 : Infinity;
+  let newLeft = hasHunks ? 0 : Infinity;
+
+  lines.forEach((line, index) => {
+    const diffLine = index + 1;
+    const inHunk = oldLeft > 0 || newLeft > 0;
+
+    if (!inHunk || !hasHunks) {
+      const hunk = HUNK_HEADER.exec(line);
+      if (hunk) {
+        oldLine = parseInt(hunk[1], 10);
+        oldLeft = hunk[2] === undefined ? 1 : parseInt(hunk[2], 10);
+        newLine = parseInt(hunk[3], 10);
+        newLeft = hunk[4] === undefined ? 1 : parseInt(hunk[4], 10);
+        return;
+      }
+      if (line.startsWith('+++ ') && path === null) {
+        path = line.slice(4).replace(/^b\//, '').split('\t')[0].trim();
+      }
+      if (FILE_HEADER.test(line) || !inHunk) return;
+    }
+    if (line.startsWith('\\')) return; // "\ No newline at end of file"
+
+    if (line.startsWith('+')) {
+      entries.push({ type: 'added', content: line.slice(1), oldLine: null, newLine: newLine++, diffLine });
+      newLeft--;
+    } else if (line.startsWith('-')) {
+      entries.push({ type: 'removed', content: line.slice(1), oldLine: oldLine++, newLine: null, diffLine });
+      oldLeft--;
+    } else {
+      const content = line.startsWith(' ') ? line.slice(1) : line;
+      entries.push({ type: 'context', content, oldLine: oldLine++, newLine: newLine++, diffLine });
+      oldLeft--;
+      newLeft--;
+    }
+  });
+
+  return { path: path === '/dev/null' ? null : path, entries };
+};
@@ -0,0 +1,62 @@
+// src/components/utils/diff.test.mjs
+// Line diffs and unified diff text (run with `npm test`)
+
+import { register } from 'node:module';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+register('../../../bin/loader.mjs', import.meta.url);
+
+const { diffLines, formatUnifiedDiff, parseUnifiedDiff } = await import('./diff.js');
+
+const OLD = ['function total(items) {', '  let sum = 0;', '  -- sum', '  for (const item of items) sum += item;', '  return sum;', '}', 'total([]);'].join('\n');
+const NEW = ['function total(items) {', '  let sum = 0;', '  for (const item of items) sum += item.price;', '  return sum;', '}', '', 'total([1]);'].join('\n');
+
+const withoutDiffLine = (entries) => entries.map(({ diffLine, ...entry }) => entry);
+
+test('diffLines keeps every line of both versions in order', () => {
+  const entries = diffLines(OLD, NEW);
+  assert.deepEqual(entries.map(entry => entry.type), [
+    'context', 'context', 'removed', 'removed', 'added', 'context', 'context', 'removed', 'added', 'added',
+  ]);
+  assert.equal(entries.filter(entry => entry.type !== 'added').map(entry => entry.content).join('\n'), OLD);
+  assert.equal(entries.filter(entry => entry.type !== 'removed').map(entry => entry.content).join('\n'), NEW);
+  assert.deepEqual(entries[4], { type: 'added', content: '  for (const item of items) sum += item.price;', oldLine: null, newLine: 3 });
+  assert.deepEqual(diffLines('', 'a\nb').map(entry => entry.type), ['added', 'added']);
+});
+
+test('diffLines → formatUnifiedDiff → parseUnifiedDiff gives the entries back', () => {
+  const entries = diffLines(OLD, NEW);
+  const text = formatUnifiedDiff(entries, { oldPath: 'a/total.js', newPath: 'b/total.js', context: 10 });
+  assert.match(text, /^--- a\/total\.js\n\+\+\+ b\/total\.js\n@@ -1,7 \+1,7 @@\n/);
+
+  const parsed = parseUnifiedDiff(text);
+  assert.equal(parsed.path, 'total.js');
+  assert.deepEqual(withoutDiffLine(parsed.entries), entries);
+  // The removed "  -- sum" line stays a removed line, not a file header
+  assert.deepEqual(parsed.entries[2], { type: 'removed', content: '  -- sum', oldLine: 3, newLine: null, diffLine: 6 });
+});
+
+test('hunks keep only the context around changes, with the right line numbers', () => {
+  const oldText = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`).join('\n');
+  const newText = oldText.replace('line 3\n', 'line three\n').replace('line 18', 'line 18\nline 18b');
+  const text = formatUnifiedDiff(diffLines(oldText, newText), { context: 1 });
+  assert.deepEqual(text.split('\n').filter(line => line.startsWith('@@')), ['@@ -2,3 +2,3 @@', '@@ -18,2 +18,3 @@']);
+
+  const { entries } = parseUnifiedDiff(text);
+  assert.deepEqual(entries.map(entry => [entry.type, entry.oldLine, entry.newLine]), [
+    ['context', 2, 2], ['removed', 3, null], ['added', null, 3], ['context', 4, 4],
+    ['context', 18, 18], ['added', null, 19], ['context', 19, 20],
+  ]);
+  assert.equal(formatUnifiedDiff(diffLines(oldText, oldText)), '');
+});
+
+test('a pasted fragment without headers is read from its prefixes', () => {
+  const { path, entries } = parseUnifiedDiff(' keep\n-old\n+new');
+  assert.equal(path, null);
+  assert.deepEqual(withoutDiffLine(entries), [
+    { type: 'context', content: 'keep', oldLine: 1, newLine: 1 },
+    { type: 'removed', content: 'old', oldLine: 2, newLine: null },
+    { type: 'added', content: 'new', oldLine: null, newLine: 2 },
+  ]);
+});
@@ -0,0 +1,114 @@
+// src/components/utils/diffComposer.js
+// Diff mode: compose a unified diff. Added and context lines play as usual,
+// removed lines become a quieter counter-melody an octave lower.
+
+import { analyzeLine, layoutMeasures, durationToBeats, midiToNoteName, transposeScore } from './composer';
+import { getKeySignatureByExtension, getTimeSignatureByAvgLength, constrainNoteToKey, applyMode } from './musicMapper';
+import { getLanguageByExtension, tokenizeSource } from './tokenizer';
+import { resolveProfile } from './mappingProfiles';
+import { arrangeParts } from './arranger';
+import { generateDrumHits } from './drumPattern';
+import { parseUnifiedDiff } from './diff';
+import { applyOverrides } from './overrides';
+
+// Removed lines: muted GM guitar, an octave down, at this share of their velocity
+export const REMOVED_INSTRUMENT = 'muted';
+const REMOVED_VELOCITY = 0.6;
+
+// Tokenize one side of the diff in order so block comments and strings carry over
+const tokenizeSide = (entries, language) => {
+  const tokens = tokenizeSource(entries.map(entry => entry.content).join('\n'), language);
+  return new Map(entries.map((entry, i) => [entry, tokens[i]]));
+};
+
+/**
+ * Compose a score from a unified diff
+ * @param {string} diffText - unified diff, or +/-/space prefixed lines
+ * @param {{ filename?: string, commentMode?: 'timbre'|'rest'|'code', drums?: boolean, profile?: object,
+ *   mode?: string, transpose?: number, overrides?: object }} options
+ *   filename is used when the diff has no "+++" header; harmony, motifs and metrics do not apply to diffs;
+ *   overrides are keyed by the lines' code, without the +/- prefix
+ * @returns {{ metadata: object, notes: object[], measures: object[], parts: object[], drums: object[] }}
+ *   Notes carry `change` ('added' | 'removed' | 'context'), `oldLine` and `newLine`;
+ *   `line` is the line in the diff text
+ */
+export const composeFromDiff = (diffText = '', options = {}) => {
+  const profile = resolveProfile(options.profile);
+  const { path, entries } = parseUnifiedDiff(diffText);
+  const {
+    commentMode = profile.comments,
+    drums = profile.percussion.enabled,
+    mode = null,
+    transpose = 0,
+  } = options;
+  const filename = path || options.filename || 'example.js';
+  const language = getLanguageByExtension(filename);
+
+  const newSide = tokenizeSide(entries.filter(e => e.type !== 'removed'), language);
+  const oldSide = tokenizeSide(entries.filter(e => e.type === 'removed'), language);
+  const lines = entries.filter(entry => entry.content.trim() !== '');
+
+  const keySig = applyMode(getKeySignatureByExtension(filename, profile), mode);
+  const avgLength = lines.length
+    ? lines.reduce((sum, { content }) => sum + content.length, 0) / lines.length
+    : 0;
+  const timeSig = getTimeSignatureByAvgLength(avgLength, profile);
+
+  const notes = lines.map((entry, index) => {
+    const tokens = (entry.type === 'removed' ? oldSide : newSide).get(entry) || [];
+    const note = {
+      index,
+      line: entry.diffLine,
+      content: entry.content,
+      ...analyzeLine(entry.content, keySig, tokens, { commentMode, profile }),
+      change: entry.type,
+      oldLine: entry.oldLine,
+      newLine: entry.newLine,
+      timeSig,
+      keySig,
+    };
+
+    if (entry.type === 'removed') {
+      const midiNote = Math.max(note.midiNote - 12, 0);
+      Object.assign(note, {
+        midiNote,
+        noteName: constrainNoteToKey(midiToNoteName(midiNote), keySig),
+        velocity: note.velocity * REMOVED_VELOCITY,
+        instrument: REMOVED_INSTRUMENT,
+      });
+    }
+    return note;
+  });
+
+  const overridden = applyOverrides(notes, options.overrides);
+  const measures = layoutMeasures(notes, timeSig);
+  const drumHits = drums ? generateDrumHits(notes, timeSig, profile.percussion.hits) : [];
+  const last = notes[notes.length - 1];
+  const count = (type) => notes.filter(note => note.change === type).length;
+
+  return transposeScore({
+    metadata: {
+      filename,
+      language,
+      source: 'diff',
+      commentMode,
+      harmony: false,
+      motifs: false,
+      metrics: false,
+      overridden,
+      drums,
+      profile: { id: profile.id, name: profile.name },
+      diff: { added: count('added'), removed: count('removed'), context: count('context') },
+      keySig,
+      timeSig,
+      avgLength,
+      lineCount: diffText === '' ? 0 : diffText.split('\n').length,
+      noteCount: notes.length,
+      totalBeats: last ? last.startBeat + durationToBeats(last.duration) : 0,
+    },
+    notes,
+    measures,
+    parts: arrangeParts(notes, drumHits),
+    drums: drumHits,
+  }, transpose);
+};
@@ -0,0 +1,102 @@
+// src/components/utils/drumPattern.js
+// Percussion layer from syntax punctuation: each mapped token becomes a drum hit
+// at its position within the line's note, quantized to a grid set by the meter
+
+import { durationToBeats } from './composer';
+import { DRUM_SOUNDS } from './instruments';
+
+// How long a drum hit sounds / is notated, in quarter-note beats, at most
+const HIT_BEATS = 0.25;
+
+/**
+ * Quantization grid for drum hits: half of the time signature's beat unit
+ * (eighths in 4/4 and 3/4, sixteenths in 6/8)
+ * @param {string} timeSig - e.g. "4/4"
+ * @returns {number} Grid step in quarter-note beats
+ */
+export const getDrumGrid = (timeSig = '4/4') => {
+  const beatValue = parseInt(timeSig.split('/')[1], 10) || 4;
+  return 2 / beatValue;
+};
+
+/**
+ * Length of a single hit in beats (one grid step, capped at a sixteenth)
+ * @param {string} timeSig - e.g. "4/4"
+ * @returns {number} Beats
+ */
+export const getHitBeats = (timeSig = '4/4') => Math.min(getDrumGrid(timeSig), HIT_BEATS);
+
+/**
+ * Drum sound for a token: exact punctuation/operator text first, then the
+ * "operator" entry for any other operator
+ * @param {{ type: string, text: string }} token
+ * @param {object} hits - profile percussion.hits table
+ * @returns {string|null} Sound name from DRUM_SOUNDS
+ */
+const soundForToken = (token, hits) => {
+  if (token.type !== 'punctuation' && token.type !== 'operator') return null;
+  if (Object.prototype.hasOwnProperty.call(hits, token.text)) return hits[token.text];
+  return token.type === 'operator' ? hits.operator || null : null;
+};
+
+/**
+ * Merge hits that land on the same grid step and sort them by beat
+ * @param {{ beat: number, sounds: string[] }[]} hits - unquantized hits
+ * @param {string} timeSig - e.g. "4/4"
+ * @returns {object[]} Hits on the grid, at most one per step
+ */
+export const quantizeDrumHits = (hits, timeSig = '4/4') => {
+  const grid = getDrumGrid(timeSig);
+  const bySlot = new Map();
+
+  hits.forEach(hit => {
+    const beat = Math.max(0, Math.floor(hit.beat / grid + 1e-9) * grid);
+    const existing = bySlot.get(beat);
+    if (existing) {
+      hit.sounds.forEach(sound => {
+        if (!existing.sounds.includes(sound)) existing.sounds.push(sound);
+      });
+      existing.velocity = Math.max(existing.velocity, hit.velocity);
+    } else {
+      bySlot.set(beat, { ...hit, beat, sounds: [...hit.sounds] });
+    }
+  });
+
+  return [...bySlot.values()].sort((a, b) => a.beat - b.beat);
+};
+
+/**
+ * Generate the drum track for laid-out notes (notes need `startBeat`)
+ * @param {object[]} notes - score notes with tokens
+ * @param {string} timeSig - e.g. "4/4"
+ * @param {object} hits - token → sound table (profile percussion.hits)
+ * @returns {{ beat: number, sounds: string[], velocity: number, noteIndex: number, line: number }[]}
+ *   Hits sorted by beat
+ */
+export const generateDrumHits = (notes, timeSig, hits = {}) => {
+  const raw = [];
+
+  notes.forEach(note => {
+    const code = note.content.trimStart();
+    if (note.isRest || !note.tokens || !code.length) return;
+    const beats = durationToBeats(note.duration);
+    // Columns count from the first non-blank character so indentation doesn't delay hits
+    let column = code.length - note.content.length;
+
+    note.tokens.forEach(token => {
+      const sound = soundForToken(token, hits);
+      if (sound && DRUM_SOUNDS[sound]) {
+        raw.push({
+          beat: note.startBeat + (column / code.length) * beats,
+          sounds: [sound],
+          velocity: note.accent ? 0.9 : 0.7,
+          noteIndex: note.index,
+          line: note.line,
+        });
+      }
+      column += token.text.length;
+    });
+  });
+
+  return quantizeDrumHits(raw, timeSig);
+};
@@ -0,0 +1,124 @@
+// src/components/utils/harmony.js
+// Harmonic layer from code structure: block openers start chords, closers resolve,
+// and outer-scope lines carry a bass line
+
+import { Note } from '@tonaljs/tonal';
+import { getScaleNotes, spellNote } from './musicMapper';
+import { getCodeTokens } from './tokenizer';
+
+// Bass notes sit in octave 2 (C2 = MIDI 36)
+const BASS_BASE_MIDI = 36;
+
+/**
+ * Work out block nesting for each line. Brace languages count `{`/`}` tokens,
+ * Python follows indentation after a trailing `:`.
+ * @param {{ content: string, tokens: object[] }[]} lines - non-empty lines in order
+ * @param {string} language - tokenizer language id
+ * @returns {{ depth: number, opens: boolean, closes: boolean }[]} One entry per line
+ */
+export const getBlockStructure = (lines, language = 'javascript') =>
+  language === 'python' ? indentStructure(lines) : braceStructure(lines);
+
+const braceStructure = (lines) => {
+  let depth = 0;
+  return lines.map(({ tokens }) => {
+    const code = getCodeTokens(tokens);
+    let leading = 0;
+    while (leading < code.length && code[leading].text === '}') leading++;
+
+    const lineDepth = Math.max(depth - leading, 0);
+    let net = 0;
+    code.forEach(t => {
+      if (t.text === '{') net++;
+      if (t.text === '}') net--;
+    });
+    depth = Math.max(depth + net, 0);
+
+    return { depth: lineDepth, opens: depth > lineDepth, closes: leading > 0 || net < 0 };
+  });
+};
+
+const indentStructure = (lines) => {
+  const stack = [];
+  let expectIndent = false;
+  return lines.map(({ content, tokens }) => {
+    const indent = content.match(/^\s*/)[0].length;
+    let closes = false;
+    if (expectIndent && (stack.length === 0 || indent > stack[stack.length - 1])) {
+      stack.push(indent);
+    }
+    while (stack.length && indent < stack[stack.length - 1]) {
+      stack.pop();
+      closes = true;
+    }
+
+    const code = getCodeTokens(tokens);
+    const opens = code.length > 0 && code[code.length - 1].text === ':';
+    expectIndent = opens;
+    return { depth: stack.length, opens, closes };
+  });
+};
+
+/**
+ * Build a diatonic triad above a root note, e.g. "E4" in C → ["E4", "G4", "B4"]
+ * @param {string} rootName - in-key note with octave
+ * @param {string} keySig - e.g. "C", "G"
+ * @returns {string[]|null} Chord tones ascending, null when the root is outside the key;
+ *   tones above MIDI 127 are folded down by octaves (high roots give an inversion)
+ */
+export const buildTriad = (rootName, keySig) => {
+  const scale = getScaleNotes(keySig);
+  const rootMidi = Note.midi(rootName);
+  if (rootMidi == null) return null;
+
+  const degree = scale.findIndex(n => Note.chroma(n) === rootMidi % 12);
+  if (degree === -1) return null;
+
+  const tones = [rootMidi];
+  let previous = rootMidi;
+  [2, 4].forEach(step => {
+    const chroma = Note.chroma(scale[(degree + step) % scale.length]);
+    previous += ((chroma - (previous % 12) + 12) % 12) || 12;
+    let tone = previous;
+    while (tone > 127) tone -= 12;
+    tones.push(tone);
+  });
+  return tones
+    .sort((a, b) => a - b)
+    .map(midi => (midi === rootMidi ? rootName : spellNote(midi, keySig)));
+};
+
+/**
+ * Add chords and a bass line to composed notes (mutates and returns them).
+ * Opening a block plays the triad on the melody note, closing it resolves to
+ * the tonic triad, and lines at the outermost scope get a bass note.
+ * @param {object[]} notes - score notes, one per non-empty line
+ * @param {{ depth: number, opens: boolean, closes: boolean }[]} structure - from getBlockStructure
+ * @param {string} keySig - key of the piece
+ * @returns {object[]} The same notes with `depth`, `chord` and `bass` set
+ */
+export const applyHarmony = (notes, structure, keySig) => {
+  const tonic = getScaleNotes(keySig)[0];
+
+  notes.forEach((note, i) => {
+    const { depth, opens, closes } = structure[i] || { depth: 0 };
+    note.depth = depth;
+    if (note.isRest) return;
+
+    let chord = null;
+    if (opens) chord = buildTriad(note.noteName, keySig);
+    else if (closes) chord = buildTriad(`${tonic}4`, keySig);
+    if (chord) {
+      note.chord = chord.includes(note.noteName)
+        ? chord
+        : [...chord, note.noteName].sort((a, b) => Note.midi(a) - Note.midi(b));
+    }
+
+    if (depth === 0) {
+      const chroma = Note.chroma(note.chord ? note.chord[0] : note.noteName);
+      if (chroma != null) note.bass = spellNote(BASS_BASE_MIDI + chroma, keySig);
+    }
+  });
+
+  return notes;
+};
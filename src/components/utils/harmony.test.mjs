@@ -0,0 +1,36 @@
+// src/components/utils/harmony.test.mjs
+// Chords and bass from block structure (run with `npm test`)
+
+import { register } from 'node:module';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+register('../../../bin/loader.mjs', import.meta.url);
+
+const { Note } = await import('@tonaljs/tonal');
+const { buildTriad } = await import('./harmony.js');
+const { composeFromSource } = await import('./composer.js');
+
+test('buildTriad stacks diatonic thirds', () => {
+  assert.deepEqual(buildTriad('E4', 'C'), ['E4', 'G4', 'B4']);
+  assert.deepEqual(buildTriad('D4', 'Bb'), ['D4', 'F4', 'A4']);
+  assert.equal(buildTriad('C#4', 'C'), null);
+});
+
+test('buildTriad folds tones above MIDI 127 down an octave', () => {
+  assert.deepEqual(buildTriad('G9', 'C'), ['B8', 'D9', 'G9']);
+  assert.deepEqual(buildTriad('E9', 'C'), ['B8', 'E9', 'G9']);
+});
+
+test('chords and bass of a deeply indented block stay in MIDI range', () => {
+  const source = `${' '.repeat(28)}if (x) {\n${' '.repeat(30)}y();\n${' '.repeat(28)}}\n`;
+  const score = composeFromSource(source, { filename: 'deep.js', harmony: true });
+  assert.equal(score.notes[0].midiNote, 127);
+  score.notes.forEach(note => {
+    [...(note.chord || []), note.bass].filter(Boolean).forEach(name => {
+      const midi = Note.midi(name);
+      assert.ok(midi >= 0 && midi <= 127, `${name} on line ${note.line}`);
+    });
+  });
+  assert.ok(score.notes[0].chord.includes(score.notes[0].noteName));
+});
@@ -0,0 +1,61 @@
+// src/components/utils/instruments.js
+// Instrument registry: every name the mapper can emit → General MIDI program
+// (its playback patch lives in toneVoices.js under the same name)
+
+/**
+ * GM program numbers are 0-based (0 = Acoustic Grand Piano).
+ * Percussion instruments play on MIDI channel 10 and have no program.
+ */
+export const INSTRUMENTS = {
+  piano: { label: 'Piano', program: 0 },
+  strings: { label: 'Strings', program: 48 },        // String Ensemble 1
+  synth: { label: 'Synth Lead', program: 80 },       // Lead 1 (square)
+  pluck: { label: 'Pizzicato', program: 45 },        // Pizzicato Strings
+  metal: { label: 'Vibraphone', program: 11 },
+  marimba: { label: 'Marimba', program: 12 },
+  organ: { label: 'Organ', program: 19 },            // Church Organ
+  horn: { label: 'French Horn', program: 60 },
+  bell: { label: 'Tubular Bells', program: 14 },
+  glockenspiel: { label: 'Glockenspiel', program: 9 },
+  harp: { label: 'Harp', program: 46 },              // Orchestral Harp
+  woodwind: { label: 'Woodwind', program: 71 },      // Clarinet
+  brass: { label: 'Brass', program: 61 },            // Brass Section
+  plucked: { label: 'Guitar', program: 25 },         // Acoustic Guitar (steel)
+  celesta: { label: 'Celesta', program: 8 },
+  muted: { label: 'Muted Guitar', program: 28 },    // Electric Guitar (muted), removed diff lines
+  bass: { label: 'Bass', program: 32 },              // Acoustic Bass
+  drums: { label: 'Drums', program: 0, percussion: true },
+};
+
+// Instruments a melody note can have: bass plays the bass line (its own part),
+// drums the percussion track
+export const MELODIC_INSTRUMENTS = Object.keys(INSTRUMENTS).filter(name => !INSTRUMENTS[name].percussion && name !== 'bass');
+
+// GM percussion lives on channel 10 (index 9)
+export const PERCUSSION_CHANNEL = 9;
+
+/**
+ * Drum kit sounds: GM percussion key (channel 10) and where the hit sits on a
+ * percussion stave (VexFlow key, "/x2" = cross notehead for cymbals and claps)
+ */
+export const DRUM_SOUNDS = {
+  kick: { label: 'Kick', midi: 36, vexKey: 'f/4', step: 'F', octave: 4 },      // Bass Drum 1
+  snare: { label: 'Snare', midi: 38, vexKey: 'c/5', step: 'C', octave: 5 },    // Acoustic Snare
+  hihat: { label: 'Hi-hat', midi: 42, vexKey: 'g/5/x2', step: 'G', octave: 5 }, // Closed Hi-hat
+  clap: { label: 'Clap', midi: 39, vexKey: 'e/5/x2', step: 'E', octave: 5 },   // Hand Clap
+};
+
+/**
+ * Look up an instrument, falling back to piano for unknown names
+ * @param {string} name - e.g. 'horn'
+ * @returns {{ name: string, label: string, program: number, percussion: boolean }}
+ */
+export const getInstrumentInfo = (name) => {
+  const info = INSTRUMENTS[name] || INSTRUMENTS.piano;
+  return {
+    name: INSTRUMENTS[name] ? name : 'piano',
+    label: info.label,
+    program: info.program,
+    percussion: !!info.percussion,
+  };
+};
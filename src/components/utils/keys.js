@@ -0,0 +1,91 @@
+// src/components/utils/keys.js
+// Key names: tonic + mode, and where a key sits on the circle of fifths.
+// "C", "Bb" (major) and "Am" (natural minor) keep their short names; other
+// modes are written out, e.g. "D dorian", "A harmonic minor".
+
+// scale: Tonal scale name; offset: tonic position (in fifths) above the major key
+// with the same signature; minor: written as a minor key in MIDI and MusicXML
+export const MODES = {
+  major: { label: 'Major', scale: 'major', offset: 0, minor: false },
+  minor: { label: 'Natural minor', scale: 'minor', offset: 3, minor: true },
+  'harmonic minor': { label: 'Harmonic minor', scale: 'harmonic minor', offset: 3, minor: true },
+  'melodic minor': { label: 'Melodic minor', scale: 'melodic minor', offset: 3, minor: true },
+  dorian: { label: 'Dorian', scale: 'dorian', offset: 2, minor: false },
+  phrygian: { label: 'Phrygian', scale: 'phrygian', offset: 4, minor: false },
+  lydian: { label: 'Lydian', scale: 'lydian', offset: -1, minor: false },
+  mixolydian: { label: 'Mixolydian', scale: 'mixolydian', offset: 1, minor: false },
+  locrian: { label: 'Locrian', scale: 'locrian', offset: 5, minor: false },
+};
+
+const MODE_ALIASES = { ionian: 'major', aeolian: 'minor', 'natural minor': 'minor' };
+
+const LETTER_FIFTHS = { F: -1, C: 0, G: 1, D: 2, A: 3, E: 4, B: 5 };
+
+/**
+ * Position of a pitch class on the line of fifths, e.g. "C" → 0, "Bb" → -2, "F#" → 6
+ * @param {string} pitchClass - letter with optional sharps or flats
+ * @returns {number}
+ */
+export const getNoteFifths = (pitchClass) => {
+  const sharps = (pitchClass.match(/#/g) || []).length;
+  const flats = (pitchClass.slice(1).match(/b/g) || []).length;
+  return LETTER_FIFTHS[pitchClass[0]] + 7 * (sharps - flats);
+};
+
+/**
+ * Pitch class at a position on the line of fifths (inverse of getNoteFifths)
+ * @param {number} fifths - e.g. -2
+ * @returns {string} e.g. "Bb"
+ */
+export const getNoteByFifths = (fifths) => {
+  const letter = 'FCGDAEB'[(((fifths + 1) % 7) + 7) % 7];
+  const accidentals = Math.floor((fifths + 1) / 7);
+  return letter + (accidentals > 0 ? '#'.repeat(accidentals) : 'b'.repeat(-accidentals));
+};
+
+/**
+ * Split a key name into tonic and mode
+ * @param {string} key - e.g. "Bb", "F#m", "D dorian", "A harmonic minor"
+ * @returns {{ tonic: string, mode: string }|null} mode is a key of MODES; null when unreadable
+ */
+export const parseKey = (key) => {
+  if (typeof key !== 'string') return null;
+  const [tonicPart = '', ...rest] = key.trim().split(/\s+/);
+  const match = tonicPart.match(/^([A-G](?:#|b)?)(m?)$/);
+  if (!match) return null;
+
+  const written = rest.join(' ').toLowerCase();
+  if (written && match[2]) return null;
+  const mode = MODE_ALIASES[written] || written || (match[2] ? 'minor' : 'major');
+  return MODES[mode] ? { tonic: match[1], mode } : null;
+};
+
+/**
+ * Key name for a tonic and mode (inverse of parseKey)
+ * @param {{ tonic: string, mode: string }} key
+ * @returns {string} e.g. "Bb", "Am", "D dorian"
+ */
+export const formatKey = ({ tonic, mode }) => {
+  if (mode === 'major') return tonic;
+  if (mode === 'minor') return `${tonic}m`;
+  return `${tonic} ${mode}`;
+};
+
+/**
+ * Signature of a key as fifths, e.g. "D dorian" → 0, "Bb" → -2
+ * @param {{ tonic: string, mode: string }} key - from parseKey
+ * @returns {number} Negative = flats; may be beyond ±7 for keys like "G#"
+ */
+export const getSignatureFifths = ({ tonic, mode }) => getNoteFifths(tonic) - MODES[mode].offset;
+
+/**
+ * The same key with a signature of at most 7 sharps or flats, e.g. "G#" → "Ab"
+ * @param {{ tonic: string, mode: string }} key - from parseKey
+ * @returns {{ tonic: string, mode: string }}
+ */
+export const normalizeKey = (key) => {
+  const fifths = getSignatureFifths(key);
+  if (Math.abs(fifths) <= 7) return key;
+  const shifted = fifths - 12 * Math.sign(fifths);
+  return { tonic: getNoteByFifths(shifted + MODES[key.mode].offset), mode: key.mode };
+};
@@ -0,0 +1,51 @@
+// src/components/utils/keys.test.mjs
+// Key names and the circle of fifths (run with `npm test`)
+
+import { register } from 'node:module';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+register('../../../bin/loader.mjs', import.meta.url);
+
+const {
+  MODES, getNoteFifths, getNoteByFifths, parseKey, formatKey, getSignatureFifths, normalizeKey,
+} = await import('./keys.js');
+
+test('pitch classes sit on the line of fifths and back', () => {
+  assert.deepEqual(['C', 'G', 'F', 'Bb', 'F#', 'Cb', 'B#', 'Ebb'].map(getNoteFifths), [0, 1, -1, -2, 6, -7, 12, -10]);
+  for (let fifths = -15; fifths <= 15; fifths++) {
+    assert.equal(getNoteFifths(getNoteByFifths(fifths)), fifths);
+  }
+});
+
+test('parseKey reads short and written-out names', () => {
+  assert.deepEqual(parseKey('Bb'), { tonic: 'Bb', mode: 'major' });
+  assert.deepEqual(parseKey('F#m'), { tonic: 'F#', mode: 'minor' });
+  assert.deepEqual(parseKey(' D Dorian '), { tonic: 'D', mode: 'dorian' });
+  assert.deepEqual(parseKey('A harmonic minor'), { tonic: 'A', mode: 'harmonic minor' });
+  assert.deepEqual(parseKey('E aeolian'), { tonic: 'E', mode: 'minor' });
+  ['H', 'Am dorian', 'C blues', '', null].forEach(key => assert.equal(parseKey(key), null, String(key)));
+});
+
+test('formatKey writes what parseKey reads', () => {
+  Object.keys(MODES).forEach(mode => {
+    const key = { tonic: 'Eb', mode };
+    assert.deepEqual(parseKey(formatKey(key)), key);
+  });
+  assert.equal(formatKey({ tonic: 'A', mode: 'minor' }), 'Am');
+});
+
+test('signatures count the major key with the same notes', () => {
+  assert.equal(getSignatureFifths(parseKey('Bb')), -2);
+  assert.equal(getSignatureFifths(parseKey('Am')), 0);
+  assert.equal(getSignatureFifths(parseKey('D dorian')), 0);
+  assert.equal(getSignatureFifths(parseKey('F lydian')), 0);
+  assert.equal(getSignatureFifths(parseKey('E phrygian')), 0);
+});
+
+test('normalizeKey keeps at most seven sharps or flats', () => {
+  assert.deepEqual(normalizeKey(parseKey('G#')), { tonic: 'Ab', mode: 'major' });
+  assert.deepEqual(normalizeKey(parseKey('Fbm')), { tonic: 'E', mode: 'minor' });
+  assert.deepEqual(normalizeKey(parseKey('A# dorian')), { tonic: 'Bb', mode: 'dorian' });
+  assert.deepEqual(normalizeKey(parseKey('C#')), { tonic: 'C#', mode: 'major' });
+});
@@ -0,0 +1,292 @@
+// src/components/utils/mappingProfiles.js
+// Declarative mapping profiles: which key, instrument, duration, pitch and
+// velocity each piece of code gets. Profiles are plain JSON so they can be
+// edited, imported and exported; missing sections fall back to "classic".
+
+import { MELODIC_INSTRUMENTS, DRUM_SOUNDS } from './instruments';
+import { parseKey } from './keys';
+
+// Plain, dotted (".") and triplet ("t") values; every renderer and exporter handles all of them
+export const DURATIONS = ['1n', '2n', '4n', '8n', '16n', '2n.', '4n.', '8n.', '16n.', '2t', '4t', '8t', '16t'];
+export const PITCH_STRATEGIES = ['length', 'tokens', 'hash'];
+export const VELOCITY_CURVES = ['linear', 'exponential', 'logarithmic'];
+export const COMMENT_MODES = ['timbre', 'rest', 'code'];
+
+// 1–99 beats of a whole, half, quarter, eighth or sixteenth
+const TIME_SIGNATURE = /^[1-9]\d?\/(1|2|4|8|16)$/;
+
+/**
+ * The original Code2Score mapping
+ */
+export const CLASSIC_PROFILE = {
+  id: 'classic',
+  name: 'Classic',
+  description: 'The original mapping: pitch from line length, rhythm from line endings.',
+  keys: {
+    js: 'C',
+    jsx: 'G',
+    ts: 'D',
+    tsx: 'A',
+    py: 'Am',
+    php: 'F',
+    java: 'Bb',
+    c: 'Eb',
+    cpp: 'Ab',
+    rb: 'E',
+    go: 'B',
+    rs: 'Em',
+    swift: 'D',
+    default: 'C'
+  },
+  instruments: {
+    function: 'piano',
+    class: 'strings',
+    const: 'synth',
+    let: 'pluck',
+    var: 'metal',
+    if: 'piano',
+    for: 'marimba',
+    while: 'organ',
+    return: 'horn',
+    import: 'bell',
+    export: 'glockenspiel',
+    def: 'harp',        // Python
+    print: 'bell',      // Python
+    echo: 'woodwind',   // PHP
+    System: 'brass',    // Java
+    fmt: 'plucked',     // Go
+    default: 'piano'
+  },
+  // Last code token → duration; "string"/"literal" match token classes
+  durations: {
+    '}': '2n',
+    ';': '4n',
+    ':': '8n',
+    ',': '8n',
+    string: '8n',
+    literal: '8n',
+    default: '4n'
+  },
+  timeSignature: {
+    shortBelow: 20,
+    short: '3/4',
+    longAbove: 60,
+    long: '6/8',
+    default: '4/4'
+  },
+  pitch: {
+    strategy: 'length',
+    base: 60,
+    divisor: 5,
+    range: 12,
+    spacesPerOctave: 4
+  },
+  velocity: {
+    base: 0.3,
+    perIndent: 0.05,
+    max: 1.0,
+    curve: 'linear',
+    accent: 0.2
+  },
+  // Drum track from punctuation; "operator" matches any other operator
+  percussion: {
+    enabled: false,
+    hits: {
+      ';': 'kick',
+      '{': 'kick',
+      '}': 'snare',
+      '(': 'hihat',
+      ',': 'hihat',
+      operator: 'clap'
+    }
+  },
+  comments: 'timbre',
+  commentInstrument: 'celesta'
+};
+
+export const BUILT_IN_PROFILES = [
+  CLASSIC_PROFILE,
+  {
+    id: 'chamber',
+    name: 'Chamber',
+    description: 'Strings and woodwinds, a calmer velocity curve and pitch from token count.',
+    instruments: {
+      function: 'strings',
+      class: 'strings',
+      def: 'strings',
+      func: 'strings',
+      if: 'woodwind',
+      for: 'harp',
+      while: 'harp',
+      return: 'horn',
+      import: 'harp',
+      default: 'strings'
+    },
+    pitch: { strategy: 'tokens', base: 55, divisor: 1, range: 14, spacesPerOctave: 8 },
+    velocity: { base: 0.35, perIndent: 0.03, max: 0.8, curve: 'logarithmic', accent: 0.15 },
+    comments: 'rest'
+  },
+  {
+    id: 'chiptune',
+    name: 'Chiptune',
+    description: 'Everything on synth, fast rhythms, and the same line always plays the same pitch.',
+    instruments: { default: 'synth', return: 'metal', import: 'bell', export: 'bell' },
+    durations: { '}': '4n', ';': '8n', ':': '16n', ',': '16n', string: '16n', literal: '16n', default: '8n' },
+    timeSignature: { shortBelow: 30, short: '4/4', longAbove: 80, long: '4/4', default: '4/4' },
+    pitch: { strategy: 'hash', base: 64, divisor: 1, range: 24, spacesPerOctave: 12 },
+    velocity: { base: 0.5, perIndent: 0.05, max: 1.0, curve: 'exponential', accent: 0.3 },
+    percussion: { enabled: true },
+    comments: 'code'
+  },
+];
+
+/**
+ * Fill in every section a (possibly partial) profile leaves out from "classic"
+ * @param {object} profile - parsed profile JSON
+ * @returns {object} Complete profile
+ */
+export const resolveProfile = (profile = {}) => {
+  const merged = { ...CLASSIC_PROFILE, ...profile };
+  ['pitch', 'velocity', 'timeSignature', 'percussion'].forEach(section => {
+    merged[section] = { ...CLASSIC_PROFILE[section], ...(profile[section] || {}) };
+  });
+  // Lookup tables keep a default entry even when the profile replaces them
+  ['keys', 'instruments', 'durations'].forEach(section => {
+    merged[section] = { default: CLASSIC_PROFILE[section].default, ...(profile[section] || CLASSIC_PROFILE[section]) };
+  });
+  return merged;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const checkNumber = (errors, path, value, min, max) => {
+  if (value === undefined) return;
+  if (typeof value !== 'number' || Number.isNaN(value)) {
+    errors.push(`${path}: expected a number, got ${JSON.stringify(value)}`);
+  } else if (value < min || value > max) {
+    errors.push(`${path}: ${value} is out of range (${min}–${max})`);
+  }
+};
+
+const checkEnum = (errors, path, value, allowed) => {
+  if (value !== undefined && !allowed.includes(value)) {
+    errors.push(`${path}: "${value}" is not one of ${allowed.join(', ')}`);
+  }
+};
+
+const checkTable = (errors, path, table, isValid, describe) => {
+  if (table === undefined) return;
+  if (!isPlainObject(table)) {
+    errors.push(`${path}: expected an object`);
+    return;
+  }
+  Object.entries(table).forEach(([key, value]) => {
+    if (!isValid(value)) errors.push(`${path}.${key}: ${describe(value)}`);
+  });
+};
+
+/**
+ * Validate a profile against the schema
+ * @param {object} profile - parsed profile JSON (may be partial)
+ * @returns {{ valid: boolean, errors: string[] }} Errors name the offending field
+ */
+export const validateProfile = (profile) => {
+  const errors = [];
+  if (!isPlainObject(profile)) {
+    return { valid: false, errors: ['Profile must be a JSON object'] };
+  }
+
+  if (typeof profile.id !== 'string' || !/^[\w-]+$/.test(profile.id)) {
+    errors.push('id: required, letters, digits, "-" or "_" only');
+  }
+  if (typeof profile.name !== 'string' || !profile.name.trim()) {
+    errors.push('name: required');
+  }
+
+  checkTable(errors, 'keys', profile.keys, v => parseKey(v) !== null,
+    v => `"${v}" is not a key like "C", "Bb", "F#m" or "D dorian"`);
+  checkTable(errors, 'instruments', profile.instruments, v => MELODIC_INSTRUMENTS.includes(v),
+    v => `"${v}" is not a melody instrument (known: ${MELODIC_INSTRUMENTS.join(', ')})`);
+  checkTable(errors, 'durations', profile.durations, v => DURATIONS.includes(v),
+    v => `"${v}" is not one of ${DURATIONS.join(', ')}`);
+
+  const { timeSignature, pitch, velocity } = profile;
+  if (timeSignature !== undefined) {
+    if (!isPlainObject(timeSignature)) {
+      errors.push('timeSignature: expected an object');
+    } else {
+      checkNumber(errors, 'timeSignature.shortBelow', timeSignature.shortBelow, 0, 500);
+      checkNumber(errors, 'timeSignature.longAbove', timeSignature.longAbove, 0, 500);
+      ['short', 'long', 'default'].forEach(name => {
+        const value = timeSignature[name];
+        if (value !== undefined && !TIME_SIGNATURE.test(value)) {
+          errors.push(`timeSignature.${name}: "${value}" is not a time signature like "4/4"`);
+        }
+      });
+    }
+  }
+
+  if (pitch !== undefined) {
+    if (!isPlainObject(pitch)) {
+      errors.push('pitch: expected an object');
+    } else {
+      checkEnum(errors, 'pitch.strategy', pitch.strategy, PITCH_STRATEGIES);
+      checkNumber(errors, 'pitch.base', pitch.base, 0, 127);
+      checkNumber(errors, 'pitch.divisor', pitch.divisor, 1, 100);
+      checkNumber(errors, 'pitch.range', pitch.range, 0, 48);
+      checkNumber(errors, 'pitch.spacesPerOctave', pitch.spacesPerOctave, 1, 32);
+    }
+  }
+
+  if (velocity !== undefined) {
+    if (!isPlainObject(velocity)) {
+      errors.push('velocity: expected an object');
+    } else {
+      checkEnum(errors, 'velocity.curve', velocity.curve, VELOCITY_CURVES);
+      checkNumber(errors, 'velocity.base', velocity.base, 0, 1);
+      checkNumber(errors, 'velocity.perIndent', velocity.perIndent, 0, 1);
+      checkNumber(errors, 'velocity.max', velocity.max, 0, 1);
+      checkNumber(errors, 'velocity.accent', velocity.accent, 0, 1);
+      if (velocity.base !== undefined && velocity.max !== undefined && velocity.base > velocity.max) {
+        errors.push('velocity: base must not exceed max');
+      }
+    }
+  }
+
+  const { percussion } = profile;
+  if (percussion !== undefined) {
+    if (!isPlainObject(percussion)) {
+      errors.push('percussion: expected an object');
+    } else {
+      if (percussion.enabled !== undefined && typeof percussion.enabled !== 'boolean') {
+        errors.push('percussion.enabled: expected true or false');
+      }
+      const soundNames = Object.keys(DRUM_SOUNDS);
+      checkTable(errors, 'percussion.hits', percussion.hits, v => soundNames.includes(v),
+        v => `unknown drum sound "${v}" (known: ${soundNames.join(', ')})`);
+    }
+  }
+
+  checkEnum(errors, 'comments', profile.comments, COMMENT_MODES);
+  if (profile.commentInstrument !== undefined && !MELODIC_INSTRUMENTS.includes(profile.commentInstrument)) {
+    errors.push(`commentInstrument: "${profile.commentInstrument}" is not a melody instrument`);
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Parse and validate profile JSON text
+ * @param {string} text - JSON document
+ * @returns {{ profile: object|null, errors: string[] }} profile is resolved (complete) when valid
+ */
+export const parseProfile = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    return { profile: null, errors: [`Invalid JSON: ${error.message}`] };
+  }
+  const { valid, errors } = validateProfile(parsed);
+  return { profile: valid ? resolveProfile(parsed) : null, errors };
+};
@@ -0,0 +1,36 @@
+// src/components/utils/mappingProfiles.test.mjs
+// Profile validation (run with `npm test`)
+
+import { register } from 'node:module';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+register('../../../bin/loader.mjs', import.meta.url);
+
+const { BUILT_IN_PROFILES, CLASSIC_PROFILE, validateProfile } = await import('./mappingProfiles.js');
+
+const withChanges = (changes) => ({ ...CLASSIC_PROFILE, id: 'custom', name: 'Custom', ...changes });
+
+test('the built-in profiles are valid', () => {
+  BUILT_IN_PROFILES.forEach(profile => assert.deepEqual(validateProfile(profile), { valid: true, errors: [] }));
+});
+
+test('melodies only get melodic instruments', () => {
+  ['drums', 'bass', 'kazoo'].forEach(instrument => {
+    const { valid, errors } = validateProfile(withChanges({ instruments: { ...CLASSIC_PROFILE.instruments, return: instrument } }));
+    assert.equal(valid, false);
+    assert.match(errors.join('\n'), new RegExp(`instruments\\.return: "${instrument}" is not a melody instrument`));
+  });
+  assert.equal(validateProfile(withChanges({ commentInstrument: 'drums' })).valid, false);
+  assert.equal(validateProfile(withChanges({ commentInstrument: 'harp' })).valid, true);
+});
+
+test('time signatures need at least one beat', () => {
+  const timeSignature = (short) => withChanges({ timeSignature: { ...CLASSIC_PROFILE.timeSignature, short } });
+  ['0/4', '00/4', '3/5', '100/4', '3-4'].forEach(short => {
+    assert.equal(validateProfile(timeSignature(short)).valid, false, short);
+  });
+  ['1/4', '3/4', '6/8', '12/8', '99/16'].forEach(short => {
+    assert.equal(validateProfile(timeSignature(short)).valid, true, short);
+  });
+});
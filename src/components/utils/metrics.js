@@ -0,0 +1,150 @@
+// src/components/utils/metrics.js
+// Code metrics as expression: per function, cyclomatic complexity sets the
+// dynamic level and adds dissonance, nesting shapes a crescendo into the
+// deepest line and a diminuendo out of it, and complexity against length
+// bends the tempo. Gnarly code comes out loud, tense and hurried.
+
+import { Note } from '@tonaljs/tonal';
+import { spellNote } from './musicMapper';
+import { getCodeTokens } from './tokenizer';
+import { findSections } from './motifs';
+
+// Decision points counted for cyclomatic complexity (`else if` counts its `if`)
+const BRANCH_KEYWORDS = new Set(['if', 'elif', 'elseif', 'for', 'foreach', 'while', 'case', 'catch', 'except', 'and', 'or']);
+const BRANCH_OPERATORS = new Set(['&&', '||', '??', '?']);
+
+// Dynamic mark and velocity factor by complexity (upper bound, inclusive)
+const DYNAMICS = [
+  [1, 'p', 0.75],
+  [3, 'mp', 0.9],
+  [6, 'mf', 1],
+  [10, 'f', 1.15],
+  [Infinity, 'ff', 1.3],
+];
+
+// Functions at least this complex clash: branch lines get a minor second on top
+export const DISSONANCE_COMPLEXITY = 7;
+
+// Extra velocity per nesting level at the peak of a hairpin
+const HAIRPIN_STEP = 0.06;
+
+// Tempo factor bounds: complexity pushes the tempo up, long functions hold it back
+const TEMPO_RANGE = [0.8, 1.3];
+const TEMPO_PER_BRANCH = 0.03;
+const TEMPO_PER_LINE = 0.004;
+const RELAXED_LENGTH = 15;
+
+const countBranches = (tokens) =>
+  getCodeTokens(tokens).filter(t =>
+    (t.type === 'keyword' && BRANCH_KEYWORDS.has(t.text)) || (t.type === 'operator' && BRANCH_OPERATORS.has(t.text))
+  ).length;
+
+/**
+ * Complexity, nesting and length of every function, method and class
+ * @param {{ tokens: object[] }[]} lines - non-empty lines in order
+ * @param {{ depth: number, opens: boolean }[]} structure - from getBlockStructure
+ * @param {string} language - tokenizer language id
+ * @returns {{ name: string, kind: string, start: number, end: number, complexity: number,
+ *   nesting: number, length: number }[]} start/end index `lines`; nesting counts blocks
+ *   inside the function; length counts its non-empty lines
+ */
+export const getFunctionMetrics = (lines, structure, language = 'javascript') =>
+  findSections(lines, structure, language).map(section => {
+    const range = lines.slice(section.start, section.end + 1);
+    const depths = structure.slice(section.start + 1, section.end + 1).map(({ depth }) => depth);
+    return {
+      ...section,
+      complexity: 1 + range.reduce((sum, { tokens }) => sum + countBranches(tokens), 0),
+      nesting: Math.max(0, ...depths.map(depth => depth - structure[section.start].depth - 1)),
+      length: range.length,
+    };
+  });
+
+/**
+ * Dynamic mark for a complexity
+ * @param {number} complexity - cyclomatic complexity (1 = straight-line code)
+ * @returns {{ mark: string, factor: number }} e.g. { mark: 'f', factor: 1.15 }
+ */
+export const getDynamic = (complexity) => {
+  const [, mark, factor] = DYNAMICS.find(([max]) => complexity <= max);
+  return { mark, factor };
+};
+
+/**
+ * Tempo factor for a function
+ * @param {{ complexity: number, length: number }} metrics
+ * @returns {number} Multiplier for the base tempo, within TEMPO_RANGE
+ */
+export const getTempoScale = ({ complexity, length }) => {
+  const scale = 1 + TEMPO_PER_BRANCH * (complexity - 1) - TEMPO_PER_LINE * Math.max(length - RELAXED_LENGTH, 0);
+  return Math.round(Math.min(Math.max(scale, TEMPO_RANGE[0]), TEMPO_RANGE[1]) * 100) / 100;
+};
+
+/**
+ * Shape the notes of every function by its metrics (mutates the notes). A note
+ * follows the innermost function around it; code outside functions is left as is.
+ * @param {object[]} notes - score notes, one per non-empty line
+ * @param {{ tokens: object[] }[]} lines - the non-empty lines the notes come from
+ * @param {{ depth: number, opens: boolean }[]} structure - from getBlockStructure
+ * @param {string} keySig - key of the piece (for spelling clashes)
+ * @param {string} language - tokenizer language id
+ * @returns {{ functions: object[], tempoChanges: { noteIndex: number, scale: number }[] }}
+ *   functions: { name, kind, line, endLine, complexity, nesting, length, dynamic, tempo };
+ *   notes get `dynamic` (the mark, on a function's first note) and `hairpin` ('crescendo'|'diminuendo')
+ */
+export const applyExpression = (notes, lines, structure, keySig, language = 'javascript') => {
+  const functions = getFunctionMetrics(lines, structure, language).map(metrics => ({
+    ...metrics,
+    dynamic: getDynamic(metrics.complexity).mark,
+    tempo: getTempoScale(metrics),
+  }));
+
+  // Innermost function per line: later (nested) sections overwrite their parents
+  const owners = new Array(notes.length).fill(null);
+  functions.forEach(fn => {
+    for (let i = fn.start; i <= fn.end; i++) owners[i] = fn;
+  });
+
+  functions.forEach(fn => {
+    const own = [];
+    for (let i = fn.start; i <= fn.end; i++) {
+      if (owners[i] === fn) own.push(i);
+    }
+    if (own.length === 0) return;
+    notes[own[0]].dynamic = fn.dynamic;
+
+    // Crescendo up to the most deeply nested line, diminuendo after it
+    const { factor } = getDynamic(fn.complexity);
+    const peak = own.reduce((best, i) => (structure[i].depth > structure[best].depth ? i : best), own[0]);
+    const baseDepth = structure[fn.start].depth;
+    own.forEach(i => {
+      const note = notes[i];
+      if (note.isRest) return;
+      const lift = fn.nesting > 0 ? HAIRPIN_STEP * (structure[i].depth - baseDepth) : 0;
+      note.velocity = Math.min(Math.max(note.velocity * factor + lift, 0.05), 1);
+      if (fn.nesting > 0 && i !== peak) note.hairpin = i < peak ? 'crescendo' : 'diminuendo';
+
+      if (fn.complexity >= DISSONANCE_COMPLEXITY && countBranches(lines[i].tokens) > 0) {
+        const pitches = note.chord || [note.noteName];
+        const top = Math.max(...pitches.map(name => Note.midi(name) ?? note.midiNote));
+        note.chord = [...pitches, spellNote(Math.min(top + 1, 127), keySig)];
+      }
+    });
+  });
+
+  // The tempo follows the innermost function, and returns to normal outside
+  const tempoChanges = [];
+  let current = 1;
+  owners.forEach((owner, i) => {
+    const scale = owner ? owner.tempo : 1;
+    if (scale !== current) {
+      tempoChanges.push({ noteIndex: i, scale });
+      current = scale;
+    }
+  });
+
+  return {
+    functions: functions.map(({ start, end, ...fn }) => ({ ...fn, line: notes[start].line, endLine: notes[end].line })),
+    tempoChanges,
+  };
+};
@@ -0,0 +1,433 @@
+// src/components/utils/midiParser.js
+
+/**
+ * Read Standard MIDI Files (format 0 and 1) and turn them back into a score
+ * with the same note structure composeFromSource produces
+ */
+
+import { layoutMeasures, durationToBeats } from './composer';
+import { arrangeParts } from './arranger';
+import { INSTRUMENTS, PERCUSSION_CHANNEL, DRUM_SOUNDS } from './instruments';
+import { getKeyByFifths, spellNote } from './musicMapper';
+import { quantizeDrumHits } from './drumPattern';
+import { DURATIONS } from './mappingProfiles';
+
+// Quantization grid: [beats, duration], largest first (dotted and triplet values included)
+const NOTE_DURATIONS = DURATIONS
+  .map(duration => [durationToBeats(duration), duration])
+  .sort((a, b) => b[0] - a[0]);
+
+// Text events Code2Score writes before each melody note: "L12" or "L12: <line content>"
+const PROVENANCE = /^L(\d+)(?::\s?([\s\S]*))?$/;
+
+/**
+ * Parse a Standard MIDI File
+ * @param {ArrayBuffer|Uint8Array} data - file bytes
+ * @returns {{ format: number, division: number, tracks: { name: string, events: object[] }[] }}
+ *   Events carry an absolute `tick`; channel events have `type` 'noteOn', 'noteOff',
+ *   'programChange', etc., meta events have `type` 'meta' and a `metaType`
+ */
+export const parseMIDI = (data) => {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const reader = createReader(bytes);
+
+  if (reader.string(4) !== 'MThd') {
+    throw new Error('Not a MIDI file: missing MThd header');
+  }
+  const headerLength = reader.uint(4);
+  const format = reader.uint(2);
+  const trackCount = reader.uint(2);
+  const division = reader.uint(2);
+  reader.skip(headerLength - 6);
+
+  if (format > 1) throw new Error(`Unsupported MIDI format ${format} (only 0 and 1)`);
+  if (division & 0x8000) throw new Error('SMPTE time division is not supported');
+
+  const tracks = [];
+  while (tracks.length < trackCount && !reader.done()) {
+    const chunkType = reader.string(4);
+    const length = reader.uint(4);
+    if (chunkType !== 'MTrk') {
+      reader.skip(length); // unknown chunks are allowed by the spec
+      continue;
+    }
+    tracks.push(parseTrack(createReader(reader.bytes(length))));
+  }
+
+  return { format, division, tracks };
+};
+
+function parseTrack(reader) {
+  const events = [];
+  let tick = 0;
+  let runningStatus = null;
+  let name = '';
+
+  while (!reader.done()) {
+    tick += reader.varLen();
+    let status = reader.peek();
+
+    if (status & 0x80) {
+      reader.skip(1);
+    } else if (runningStatus !== null) {
+      status = runningStatus; // running status: reuse the previous channel status
+    } else {
+      throw new Error(`Invalid MIDI event at byte ${reader.position()}: missing status`);
+    }
+
+    if (status === 0xff) {
+      const metaType = reader.uint(1);
+      const payload = reader.bytes(reader.varLen());
+      const event = { tick, type: 'meta', metaType, ...decodeMeta(metaType, payload) };
+      if (metaType === 0x03 && !name) name = event.text;
+      events.push(event);
+      if (metaType === 0x2f) break;
+      continue;
+    }
+
+    if (status === 0xf0 || status === 0xf7) {
+      reader.skip(reader.varLen()); // SysEx: skipped
+      continue;
+    }
+
+    runningStatus = status;
+    const channel = status & 0x0f;
+    switch (status & 0xf0) {
+      case 0x80:
+        events.push({ tick, type: 'noteOff', channel, note: reader.uint(1), velocity: reader.uint(1) });
+        break;
+      case 0x90: {
+        const note = reader.uint(1);
+        const velocity = reader.uint(1);
+        // Note On with velocity 0 is a Note Off
+        events.push({ tick, type: velocity === 0 ? 'noteOff' : 'noteOn', channel, note, velocity });
+        break;
+      }
+      case 0xa0:
+        events.push({ tick, type: 'aftertouch', channel, note: reader.uint(1), value: reader.uint(1) });
+        break;
+      case 0xb0:
+        events.push({ tick, type: 'controller', channel, controller: reader.uint(1), value: reader.uint(1) });
+        break;
+      case 0xc0:
+        events.push({ tick, type: 'programChange', channel, program: reader.uint(1) });
+        break;
+      case 0xd0:
+        events.push({ tick, type: 'channelPressure', channel, value: reader.uint(1) });
+        break;
+      case 0xe0:
+        events.push({ tick, type: 'pitchBend', channel, value: reader.uint(1) | (reader.uint(1) << 7) });
+        break;
+      default:
+        throw new Error(`Unknown MIDI status 0x${status.toString(16)}`);
+    }
+  }
+
+  return { name, events };
+}
+
+function decodeMeta(metaType, payload) {
+  switch (metaType) {
+    case 0x51:
+      return { microsecondsPerBeat: (payload[0] << 16) | (payload[1] << 8) | payload[2] };
+    case 0x58:
+      return { numerator: payload[0], denominator: 2 ** payload[1] };
+    case 0x59: {
+      const sf = payload[0] > 127 ? payload[0] - 256 : payload[0];
+      return { sharpsFlats: sf, minor: payload[1] === 1 };
+    }
+    default:
+      if (metaType >= 0x01 && metaType <= 0x0f) {
+        return { text: new TextDecoder().decode(payload) };
+      }
+      return { data: payload };
+  }
+}
+
+function createReader(bytes) {
+  let pos = 0;
+  const ensure = (n) => {
+    if (pos + n > bytes.length) throw new Error('Unexpected end of MIDI data');
+  };
+  return {
+    done: () => pos >= bytes.length,
+    position: () => pos,
+    peek: () => {
+      ensure(1);
+      return bytes[pos];
+    },
+    skip: (n) => {
+      ensure(n);
+      pos += n;
+    },
+    uint: (n) => {
+      ensure(n);
+      let value = 0;
+      for (let i = 0; i < n; i++) value = value * 256 + bytes[pos++];
+      return value;
+    },
+    bytes: (n) => {
+      ensure(n);
+      const slice = bytes.subarray(pos, pos + n);
+      pos += n;
+      return slice;
+    },
+    string: (n) => {
+      ensure(n);
+      const text = String.fromCharCode(...bytes.subarray(pos, pos + n));
+      pos += n;
+      return text;
+    },
+    varLen: () => {
+      let value = 0;
+      let byte;
+      do {
+        ensure(1);
+        byte = bytes[pos++];
+        value = (value << 7) | (byte & 0x7f);
+      } while (byte & 0x80);
+      return value;
+    },
+  };
+}
+
+// Nearest notatable duration for a length in beats
+const quantizeDuration = (beats) => {
+  let best = NOTE_DURATIONS[0];
+  NOTE_DURATIONS.forEach(candidate => {
+    if (Math.abs(candidate[0] - beats) < Math.abs(best[0] - beats)) best = candidate;
+  });
+  return best[1];
+};
+
+// Rest notes covering a gap, in notatable durations
+const restsForGap = (beats) => {
+  const rests = [];
+  let remaining = beats;
+  NOTE_DURATIONS.forEach(([length, duration]) => {
+    while (remaining >= length - 1e-6) {
+      rests.push(duration);
+      remaining -= length;
+    }
+  });
+  return rests;
+};
+
+// Last of the notes (in start order) starting by `beat`, by binary search; null before the first
+const noteAtBeat = (notes, beat) => {
+  let low = 0;
+  let high = notes.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (notes[mid].startBeat <= beat + 1e-6) low = mid + 1;
+    else high = mid;
+  }
+  return low > 0 ? notes[low - 1] : null;
+};
+
+const instrumentForProgram = (program, channel) => {
+  if (channel === PERCUSSION_CHANNEL) return 'drums';
+  const match = Object.entries(INSTRUMENTS).find(([, info]) => !info.percussion && info.program === program);
+  return match ? match[0] : 'piano';
+};
+
+// Kit sound for a GM percussion key; unknown keys fall back by family
+const drumSoundForKey = (key) => {
+  const match = Object.entries(DRUM_SOUNDS).find(([, sound]) => sound.midi === key);
+  if (match) return match[0];
+  if (key <= 36) return 'kick';
+  if (key >= 42 && key <= 59) return 'hihat'; // hi-hats and cymbals
+  return 'snare';
+};
+
+/**
+ * Turn a parsed MIDI file into a score. Simultaneous notes become chords, gaps
+ * become rests, channel 10 becomes the drum track, and Code2Score provenance
+ * text events restore line numbers.
+ * @param {{ division: number, tracks: object[] }} midi - from parseMIDI
+ * @param {{ filename?: string }} options
+ * @returns {{ metadata: object, notes: object[], measures: object[], parts: object[], drums: object[] }}
+ */
+export const scoreFromMIDI = (midi, { filename = 'imported.mid' } = {}) => {
+  const { division, tracks } = midi;
+  let tempo = null;
+  let timeSig = null;
+  let keySig = null;
+  const markers = [];
+  let hasProvenance = false;
+
+  // Collect sounding notes from every track with absolute start/end ticks
+  const sounding = [];
+  let order = 0;
+  tracks.forEach(track => {
+    const programs = {};
+    const open = {};
+    let provenance = null;
+
+    track.events.forEach(event => {
+      if (event.type === 'meta') {
+        // The first tempo / signatures describe the piece; later ones are section changes
+        if (event.metaType === 0x51 && tempo === null) tempo = Math.round(60000000 / event.microsecondsPerBeat);
+        if (event.metaType === 0x58 && timeSig === null) timeSig = `${event.numerator}/${event.denominator}`;
+        if (event.metaType === 0x59 && keySig === null) keySig = getKeyByFifths(event.sharpsFlats, event.minor);
+        if (event.metaType === 0x06) markers.push({ name: event.text, beat: event.tick / division });
+        const match = event.text && PROVENANCE.exec(event.text);
+        if (match) {
+          provenance = { tick: event.tick, line: parseInt(match[1], 10), content: match[2] || '' };
+          hasProvenance = true;
+        }
+        return;
+      }
+      if (event.type === 'programChange') programs[event.channel] = event.program;
+
+      const key = `${event.channel}:${event.note}`;
+      if (event.type === 'noteOn') {
+        const fromLine = provenance && provenance.tick === event.tick ? provenance : null;
+        open[key] = {
+          start: event.tick,
+          order: order++,
+          midi: event.note,
+          velocity: event.velocity,
+          channel: event.channel,
+          track: track.name,
+          instrument: instrumentForProgram(programs[event.channel] || 0, event.channel),
+          line: fromLine?.line ?? null,
+          content: fromLine?.content ?? '',
+        };
+      } else if (event.type === 'noteOff' && open[key]) {
+        sounding.push({ ...open[key], end: event.tick });
+        delete open[key];
+      }
+    });
+  });
+
+  tempo = tempo ?? 120;
+  timeSig = timeSig ?? '4/4';
+  keySig = keySig ?? 'C';
+
+  const bassLabel = INSTRUMENTS.bass.label;
+  const percussion = sounding.filter(n => n.channel === PERCUSSION_CHANNEL);
+  const pitched = sounding.filter(n => n.channel !== PERCUSSION_CHANNEL);
+  const melody = pitched.filter(n => n.track !== bassLabel);
+  const bass = pitched.filter(n => n.track === bassLabel);
+
+  // Group simultaneous melody notes (by line and tick when known, otherwise by start tick;
+  // a repository piece repeats line numbers across files)
+  const groups = [];
+  const byKey = {};
+  melody
+    .sort((a, b) => a.start - b.start || a.order - b.order)
+    .forEach(n => {
+      const key = n.line != null ? `L${n.line}@${n.start}` : `T${n.start}`;
+      if (!byKey[key]) {
+        byKey[key] = { ...n, pitches: [] };
+        groups.push(byKey[key]);
+      }
+      const group = byKey[key];
+      group.pitches.push(n.midi);
+      group.end = Math.max(group.end, n.end);
+      if (n.line != null && group.line == null) Object.assign(group, { line: n.line, content: n.content });
+    });
+
+  // Merge the bass line in on one sorted pass. A bass note starting with a melody
+  // note becomes its bass; one starting on its own gets a note of its own: the
+  // melody sounding then, played again, or a rest when the melody is silent.
+  // Of bass notes starting together, the lowest is kept.
+  const bassLine = [...bass].sort((a, b) => a.start - b.start || a.midi - b.midi);
+  const onsets = [];
+  let nextBass = 0;
+  const takeBass = (tick) => {
+    const found = nextBass < bassLine.length && bassLine[nextBass].start === tick ? bassLine[nextBass] : null;
+    while (nextBass < bassLine.length && bassLine[nextBass].start <= tick) nextBass++;
+    return found;
+  };
+  let previous = null;
+  const addBassOnsetsBefore = (tick) => {
+    while (nextBass < bassLine.length && bassLine[nextBass].start < tick) {
+      const bassNote = takeBass(bassLine[nextBass].start);
+      onsets.push(previous && previous.end > bassNote.start
+        ? { ...previous, start: bassNote.start, line: null, content: '', bassNote }
+        : { start: bassNote.start, end: bassNote.end, isRest: true, bassNote });
+    }
+  };
+  groups.forEach(group => {
+    addBassOnsetsBefore(group.start);
+    onsets.push({ ...group, bassNote: takeBass(group.start) });
+    previous = group;
+  });
+  addBassOnsetsBefore(Infinity);
+
+  const notes = [];
+  const pushNote = (fields) => notes.push({ index: notes.length, timeSig, keySig, ...fields });
+  const REST = { line: null, content: '', isRest: true, noteName: 'B4', midiNote: 71, velocity: 0, instrument: 'piano' };
+
+  let cursor = 0;
+  onsets.forEach((onset, i) => {
+    const gap = (onset.start - cursor) / division;
+    restsForGap(gap).forEach(duration => pushNote({ ...REST, duration }));
+
+    const next = onsets[i + 1];
+    const length = (Math.min(onset.end, next ? next.start : onset.end) - onset.start) / division;
+    const duration = quantizeDuration(length);
+    const bassName = onset.bassNote ? spellNote(onset.bassNote.midi, keySig) : null;
+    cursor = onset.start + durationToBeats(duration) * division;
+
+    if (onset.isRest) {
+      pushNote({ ...REST, duration, bass: bassName, velocity: onset.bassNote.velocity / 127 });
+      return;
+    }
+    // Code2Score writes the melody pitch first; otherwise the top voice is the melody
+    const melodyMidi = onset.line != null ? onset.pitches[0] : Math.max(...onset.pitches);
+    const pitches = [...onset.pitches].sort((a, b) => a - b);
+
+    pushNote({
+      line: onset.line,
+      content: onset.content,
+      midiNote: melodyMidi,
+      noteName: spellNote(melodyMidi, keySig),
+      ...(pitches.length > 1 ? { chord: pitches.map(midi => spellNote(midi, keySig)) } : {}),
+      ...(bassName ? { bass: bassName } : {}),
+      duration,
+      velocity: onset.velocity / 127,
+      instrument: onset.instrument,
+      isRest: false,
+    });
+  });
+
+  const measures = layoutMeasures(notes, timeSig);
+  const last = notes[notes.length - 1];
+
+  // Each drum hit belongs to the note sounding when it starts
+  const played = notes.filter(note => !note.isRest);
+  const drums = quantizeDrumHits(percussion.map(n => {
+    const beat = n.start / division;
+    const owner = noteAtBeat(played, beat);
+    return {
+      beat,
+      sounds: [drumSoundForKey(n.midi)],
+      velocity: n.velocity / 127,
+      noteIndex: owner ? owner.index : null,
+      line: owner ? owner.line : null,
+    };
+  }), timeSig);
+
+  return {
+    metadata: {
+      filename,
+      source: 'midi',
+      hasProvenance,
+      drums: drums.length > 0,
+      markers,
+      tempo,
+      keySig,
+      timeSig,
+      lineCount: 0,
+      noteCount: notes.length,
+      totalBeats: last ? last.startBeat + durationToBeats(last.duration) : 0,
+    },
+    notes,
+    measures,
+    parts: arrangeParts(notes, drums),
+    drums,
+  };
+};
@@ -0,0 +1,228 @@
+// src/components/utils/midiWriter.js
+
+/**
+ * Encode a composed score as a Standard MIDI File
+ * Returns the bytes; no browser APIs, so the CLI uses it as well
+ */
+
+import { Note } from '@tonaljs/tonal';
+import { durationToBeats } from './composer';
+import { getNotePitches } from './arranger';
+import { getKeyFifths } from './musicMapper';
+import { DRUM_SOUNDS } from './instruments';
+import { getHitBeats } from './drumPattern';
+
+// Ticks per quarter note unless the caller asks for another resolution
+export const DEFAULT_PPQ = 96;
+
+/**
+ * Score velocity (0–1) → MIDI velocity. Never 0: a Note On with velocity 0 is a Note Off.
+ * @param {number} velocity - score velocity
+ * @returns {number} 1–127
+ */
+export const toMidiVelocity = (velocity) =>
+  Math.min(127, Math.max(1, Math.round((Number.isFinite(velocity) ? velocity : 0) * 127)));
+
+/**
+ * Note number for a data byte: folded by octaves into 0–127 (a byte of 128 or
+ * more would read as a status byte and corrupt the file)
+ * @param {number} midi - MIDI note number, possibly out of range
+ * @returns {number} 0–127; middle C for anything that is not a number
+ */
+export const toMidiNote = (midi) => {
+  if (!Number.isFinite(midi)) return 60;
+  let note = Math.round(midi);
+  while (note > 127) note -= 12;
+  while (note < 0) note += 12;
+  return note;
+};
+
+/**
+ * Multi-track MIDI file (Type 1: conductor track + one track per part)
+ * Times come from the score's beats (dotted and triplet durations included), so
+ * nothing depends on the player's timing.
+ * @param {object} score - composed score
+ * @param {{ tempo?: number, ppq?: number }} options - beats per minute; ticks per quarter note
+ * @returns {Uint8Array} File contents
+ */
+export const encodeMIDI = (score, { tempo = 120, ppq = DEFAULT_PPQ } = {}) => {
+  if (!Number.isInteger(ppq) || ppq < 1 || ppq > 0x7fff) {
+    throw new Error(`encodeMIDI needs a PPQ between 1 and 32767, got ${ppq}`);
+  }
+  if (!(tempo > 0)) throw new Error(`encodeMIDI needs a positive tempo, got ${tempo}`);
+  const toTicks = (beats) => Math.round(beats * ppq);
+  const parts = score.parts || [];
+
+  // Header Chunk
+  const header = [
+    0x4d, 0x54, 0x68, 0x64, // "MThd"
+    0x00, 0x00, 0x00, 0x06, // header length
+    0x00, 0x01,             // format: 1 (simultaneous tracks)
+    ...intToBytes(parts.length + 1, 2), // tracks: conductor + parts
+    ...intToBytes(ppq, 2)    // division: ticks per beat (quarter note)
+  ];
+
+  // Conductor track: name, copyright, tempo, then time and key signature per section
+  // (a repository piece has one section per file, each opened by a marker); motif
+  // sections get a marker with their rehearsal letter, and the tempo map from code
+  // metrics adds tempo changes
+  const {
+    filename = 'Code2Score', keySig = 'C', timeSig = '4/4', sections, phrases = [], tempoMap = [],
+  } = score.metadata || {};
+  const tempoEvent = (bpm) => [0xff, 0x51, 0x03, ...intToBytes(Math.min(Math.round(60000000 / bpm), 0xffffff), 3)];
+  const conductor = buildTrack([
+    { tick: 0, bytes: metaText(0x03, filename) },
+    { tick: 0, bytes: metaText(0x02, `Generated by Code2Score from ${filename}`) },
+    { tick: 0, bytes: tempoEvent(tempo) },
+    ...(sections || [{ beat: 0, keySig, timeSig }]).flatMap(section => {
+      const tick = toTicks(section.beat);
+      return [
+        ...(section.name ? [{ tick, bytes: metaText(0x06, section.name) }] : []),
+        { tick, bytes: timeSignatureEvent(section.timeSig) },
+        { tick, bytes: keySignatureEvent(section.keySig) },
+      ];
+    }),
+    ...phrases.map(phrase => ({ tick: toTicks(phrase.beat), bytes: metaText(0x06, `${phrase.letter}: ${phrase.name}`) })),
+    ...tempoMap.map(change => ({ tick: toTicks(change.beat), bytes: tempoEvent(tempo * change.scale) })),
+  ]);
+
+  const tracks = parts.map(part => buildTrack(
+    part.voice === 'drums' ? drumEvents(part, score, toTicks) : partEvents(part, score.notes, toTicks)
+  ));
+
+  const chunks = [header, conductor, ...tracks];
+  const midiData = new Uint8Array(chunks.reduce((sum, c) => sum + c.length, 0));
+  let offset = 0;
+  chunks.forEach(chunk => {
+    midiData.set(chunk, offset);
+    offset += chunk.length;
+  });
+
+  return midiData;
+};
+
+// Absolute-time events for one part: track name, program change, note on/off pairs
+function partEvents(part, notes, toTicks) {
+  const { channel } = part;
+  const events = [
+    { tick: 0, bytes: metaText(0x03, part.label) },
+  ];
+  if (!part.percussion) {
+    events.push({ tick: 0, bytes: [0xc0 | channel, part.program] });
+  }
+
+  part.noteIndexes.forEach(i => {
+    const note = notes[i];
+    // Both ends from absolute beats, so triplets don't drift; at least one tick long
+    const start = toTicks(note.startBeat);
+    const end = Math.max(toTicks(note.startBeat + durationToBeats(note.duration)), start + 1);
+    const velocity = toMidiVelocity(note.velocity);
+
+    // Provenance: which source line (number + content) this melody note came from
+    if (part.voice === 'melody' && note.line != null && !note.isRest) {
+      events.push({ tick: start, bytes: metaText(0x01, `L${note.line}: ${note.content}`) });
+    }
+
+    // The melody pitch goes first so the importer can tell it apart from its chord
+    const pitches = getNotePitches(note, part.voice);
+    const ordered = pitches.includes(note.noteName)
+      ? [note.noteName, ...pitches.filter(p => p !== note.noteName)]
+      : pitches;
+
+    ordered.forEach(pitch => {
+      // Note.midi gives null above 127; the note's height keeps its octave for folding
+      const { height } = Note.get(pitch);
+      const midiNumber = toMidiNote(Number.isFinite(height) ? height : note.midiNote);
+      events.push({ tick: start, bytes: [0x90 | channel, midiNumber, velocity] });
+      // Note Off sorts before a Note On at the same tick
+      events.push({ tick: end, off: true, bytes: [0x80 | channel, midiNumber, 0x40] });
+    });
+  });
+
+  return events;
+}
+
+// Drum track on the percussion channel: one GM drum key per sound in each hit
+function drumEvents(part, score, toTicks) {
+  const { channel } = part;
+  const length = Math.max(toTicks(getHitBeats(score.metadata?.timeSig)), 1);
+  const events = [
+    { tick: 0, bytes: metaText(0x03, part.label) },
+  ];
+
+  (score.drums || []).forEach(hit => {
+    const start = toTicks(hit.beat);
+    const velocity = toMidiVelocity(hit.velocity);
+    hit.sounds.forEach(sound => {
+      const key = DRUM_SOUNDS[sound].midi;
+      events.push({ tick: start, bytes: [0x90 | channel, key, velocity] });
+      events.push({ tick: start + length, off: true, bytes: [0x80 | channel, key, 0x40] });
+    });
+  });
+
+  return events;
+}
+
+// Sort absolute events and encode them as an MTrk chunk with delta times
+function buildTrack(events) {
+  const sorted = events
+    .map((event, order) => ({ ...event, order }))
+    .sort((a, b) => a.tick - b.tick || (b.off ? 1 : 0) - (a.off ? 1 : 0) || a.order - b.order);
+
+  // One growing array: a whole repository can make hundreds of thousands of bytes
+  const bytes = [0x4d, 0x54, 0x72, 0x6b, 0, 0, 0, 0]; // "MTrk", length filled in below
+  const push = (values) => values.forEach(value => bytes.push(value));
+  let lastTick = 0;
+  sorted.forEach(event => {
+    push(varLen(event.tick - lastTick));
+    push(event.bytes);
+    lastTick = event.tick;
+  });
+
+  // End of Track
+  push([0x00, 0xff, 0x2f, 0x00]);
+
+  intToBytes(bytes.length - 8, 4).forEach((value, i) => {
+    bytes[4 + i] = value;
+  });
+  return bytes;
+}
+
+// FF 58: numerator, log2(denominator), MIDI clocks per click, 32nds per quarter
+function timeSignatureEvent(timeSig) {
+  const [numerator, denominator] = timeSig.split('/').map(n => parseInt(n, 10));
+  const compound = denominator === 8 && numerator % 3 === 0;
+  const clocksPerClick = compound ? 36 : Math.round(96 / denominator);
+  return [0xff, 0x58, 0x04, numerator, Math.log2(denominator), clocksPerClick, 0x08];
+}
+
+// FF 59: sharps (+) / flats (-) as a signed byte, then 0 = major, 1 = minor
+function keySignatureEvent(keySig) {
+  const { fifths, minor } = getKeyFifths(keySig);
+  return [0xff, 0x59, 0x02, fifths & 0xff, minor ? 1 : 0];
+}
+
+// Meta event with a text payload (0x01 = text, 0x02 = copyright, 0x03 = track name, 0x06 = marker)
+function metaText(type, text) {
+  const bytes = Array.from(new TextEncoder().encode(text));
+  return [0xff, type, ...varLen(bytes.length), ...bytes];
+}
+
+// Helpers
+function intToBytes(num, bytes) {
+  const arr = [];
+  for (let i = bytes - 1; i >= 0; i--) {
+    arr.push((num >> (i * 8)) & 0xff);
+  }
+  return arr;
+}
+
+function varLen(value) {
+  let buffer = [];
+  buffer.push(value & 0x7f);
+  while (value > 0x7f) {
+    value >>= 7;
+    buffer.push(0x80 | (value & 0x7f));
+  }
+  return buffer.reverse();
+}
@@ -0,0 +1,146 @@
+// src/components/utils/midiWriter.test.mjs
+// MIDI writer against a byte fixture, and write → parse round trips
+// (run with `npm test`; UPDATE_FIXTURES=1 rewrites the fixture after a deliberate format change)
+
+import { register } from 'node:module';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+register('../../../bin/loader.mjs', import.meta.url);
+
+const { layoutMeasures, composeFromSource } = await import('./composer.js');
+const { arrangeParts } = await import('./arranger.js');
+const { encodeMIDI, toMidiVelocity, toMidiNote } = await import('./midiWriter.js');
+const { parseMIDI, scoreFromMIDI } = await import('./midiParser.js');
+
+const FIXTURE = new URL('./__fixtures__/rhythms.mid', import.meta.url);
+
+// Dotted, plain and triplet notes, a rest, a chord and out-of-range velocities
+const makeScore = () => {
+  const rows = [
+    ['C4', '4n.', 0.8],
+    ['D4', '8n', 0.5],
+    ['E4', '8t', 1.2],
+    ['F4', '8t', 0.6],
+    ['G4', '8t', 0.6],
+    [null, '4n', 0],
+    ['A4', '2n', 0, ['A4', 'C5']],
+  ];
+  const notes = rows.map(([noteName, duration, velocity, chord], index) => ({
+    index,
+    line: noteName ? index + 1 : null,
+    content: noteName ? `line ${index + 1}` : '',
+    noteName: noteName || 'B4',
+    midiNote: 60,
+    duration,
+    velocity,
+    instrument: 'piano',
+    isRest: !noteName,
+    ...(chord && { chord }),
+    keySig: 'C',
+    timeSig: '4/4',
+  }));
+  const measures = layoutMeasures(notes, '4/4');
+  return {
+    metadata: { filename: 'rhythms.js', keySig: 'C', timeSig: '4/4' },
+    notes,
+    measures,
+    parts: arrangeParts(notes, []),
+    drums: [],
+  };
+};
+
+test('encodeMIDI matches the byte fixture', () => {
+  const bytes = encodeMIDI(makeScore(), { tempo: 100, ppq: 96 });
+  if (process.env.UPDATE_FIXTURES) fs.writeFileSync(FIXTURE, bytes);
+  assert.deepEqual(bytes, new Uint8Array(fs.readFileSync(FIXTURE)));
+});
+
+test('header: format 1, conductor + one part, 96 ticks per quarter', () => {
+  const bytes = encodeMIDI(makeScore(), { tempo: 100, ppq: 96 });
+  assert.deepEqual([...bytes.slice(0, 14)], [
+    0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 1, 0, 2, 0, 96,
+  ]);
+});
+
+test('dotted, triplet and plain notes keep their lengths through a round trip', () => {
+  const score = scoreFromMIDI(parseMIDI(fs.readFileSync(FIXTURE)));
+  assert.deepEqual(
+    score.notes.map(note => [note.isRest ? 'rest' : note.noteName, note.duration]),
+    [['C4', '4n.'], ['D4', '8n'], ['E4', '8t'], ['F4', '8t'], ['G4', '8t'], ['rest', '4n'], ['A4', '2n']]
+  );
+  assert.deepEqual(score.notes.map(note => Math.round(note.startBeat * 96)), [0, 144, 192, 224, 256, 288, 384]);
+  assert.deepEqual(score.notes.map(note => note.measure), [1, 1, 1, 1, 1, 1, 2]);
+  assert.deepEqual(score.notes[6].chord, ['A4', 'C5']);
+  assert.deepEqual(score.notes.map(note => note.line), [1, 2, 3, 4, 5, null, 7]);
+  assert.equal(score.metadata.tempo, 100);
+});
+
+test('velocities are clamped to 1–127', () => {
+  const score = scoreFromMIDI(parseMIDI(encodeMIDI(makeScore())));
+  const velocities = score.notes.filter(note => !note.isRest).map(note => Math.round(note.velocity * 127));
+  assert.deepEqual(velocities, [102, 64, 127, 76, 76, 1]);
+  assert.equal(toMidiVelocity(0), 1);
+  assert.equal(toMidiVelocity(NaN), 1);
+  assert.equal(toMidiVelocity(2), 127);
+});
+
+test('note numbers outside 0–127 are folded by octaves', () => {
+  assert.equal(toMidiNote(134), 122);
+  assert.equal(toMidiNote(-5), 7);
+  assert.equal(toMidiNote(NaN), 60);
+
+  const score = makeScore();
+  Object.assign(score.notes[6], { noteName: 'G9', midiNote: 127, chord: ['G9', 'B9', 'D10'] });
+  const midi = parseMIDI(encodeMIDI(score));
+  // The parser reads a data byte of 128 or more as it is, so this catches a corrupt file
+  const noteOns = midi.tracks.flatMap(track => track.events).filter(event => event.type === 'noteOn');
+  assert.ok(noteOns.every(event => event.note <= 127));
+  assert.deepEqual(scoreFromMIDI(midi).notes[6].chord, ['B8', 'D9', 'G9']);
+});
+
+test('triplets land on exact ticks at any resolution', () => {
+  [96, 480, 960].forEach(ppq => {
+    const score = scoreFromMIDI(parseMIDI(encodeMIDI(makeScore(), { ppq })));
+    assert.deepEqual(score.notes.map(note => note.duration), ['4n.', '8n', '8t', '8t', '8t', '4n', '2n']);
+  });
+});
+
+test('drum hits go back to the line of the note sounding when they start', () => {
+  const source = 'function beat(a, b) {\n  const c = [a, b];\n  // rest\n  return c.map(x => x * 2);\n}\nbeat(1, 2);\n';
+  const score = composeFromSource(source, { filename: 'beat.js', drums: true });
+  const back = scoreFromMIDI(parseMIDI(encodeMIDI(score)));
+  assert.ok(score.drums.length > 0);
+  assert.deepEqual(back.drums.map(hit => hit.line), score.drums.map(hit => hit.line));
+  back.drums.forEach(hit => assert.equal(back.notes[hit.noteIndex].line, hit.line));
+});
+
+test('encodeMIDI rejects a bad resolution or tempo', () => {
+  assert.throws(() => encodeMIDI(makeScore(), { ppq: 0 }), /PPQ/);
+  assert.throws(() => encodeMIDI(makeScore(), { tempo: 0 }), /tempo/);
+});
+
+test('bass notes between melody notes are kept', () => {
+  // Quarter notes at 96 ticks: the melody holds C4 over two bass notes, and the bass outlasts it
+  const track = (name, channel, notes) => ({
+    name,
+    events: notes.flatMap(([note, start, end]) => [
+      { tick: start, type: 'noteOn', channel, note, velocity: 100 },
+      { tick: end, type: 'noteOff', channel, note, velocity: 0 },
+    ]).sort((a, b) => a.tick - b.tick),
+  });
+  const score = scoreFromMIDI({
+    division: 96,
+    tracks: [
+      { name: '', events: [{ tick: 0, type: 'meta', metaType: 0x51, microsecondsPerBeat: 750000 }] },
+      track('Piano', 0, [[60, 0, 192], [64, 192, 384]]),
+      track('Bass', 1, [[36, 0, 96], [43, 96, 192], [45, 384, 480]]),
+    ],
+  });
+  assert.deepEqual(
+    score.notes.map(note => [note.isRest ? 'rest' : note.noteName, note.duration, note.bass ?? null]),
+    [['C4', '4n', 'C2'], ['C4', '4n', 'G2'], ['E4', '2n', null], ['rest', '4n', 'A2']]
+  );
+  assert.equal(score.metadata.tempo, 80);
+});
@@ -0,0 +1,229 @@
+// src/components/utils/motifs.js
+// Phrases from code structure: every function, method or class becomes a section
+// with a rehearsal letter, and its name becomes a short motif that opens the
+// section and comes back wherever the function is called
+
+import { Note } from '@tonaljs/tonal';
+import { getScaleNotes, spellNote } from './musicMapper';
+import { getCodeTokens } from './tokenizer';
+
+// Notes a motif takes over, starting at its definition or call
+export const MOTIF_LENGTH = 4;
+
+// Keywords that introduce a named definition; the name is the next identifier
+const DEFINITION_KEYWORDS = {
+  javascript: ['function', 'class'],
+  python: ['def', 'class'],
+  php: ['function', 'class', 'interface', 'trait'],
+  java: ['class', 'interface', 'enum', 'record'],
+  go: ['func', 'type'],
+};
+
+const CLASS_KEYWORDS = new Set(['class', 'interface', 'trait', 'enum', 'record', 'type']);
+
+// Languages whose methods have no keyword: `name(args) {`
+const BARE_METHODS = new Set(['javascript', 'java']);
+
+// How far a definition may spread (e.g. a wrapped parameter list) before its block opens
+const MAX_SIGNATURE_LINES = 8;
+
+// Index of the token after the bracket group opening at `start`
+const skipGroup = (code, start) => {
+  let depth = 0;
+  for (let i = start; i < code.length; i++) {
+    if (code[i].text === '(') depth++;
+    if (code[i].text === ')') depth--;
+    if (depth === 0) return i + 1;
+  }
+  return code.length;
+};
+
+const keywordDefinition = (code, language) => {
+  const keywords = DEFINITION_KEYWORDS[language] || DEFINITION_KEYWORDS.javascript;
+  const k = code.findIndex(t => t.type === 'keyword' && keywords.includes(t.text));
+  if (k === -1) return null;
+
+  let i = k + 1;
+  if (code[i]?.text === '*') i++;                                    // function* generator
+  if (language === 'go' && code[i]?.text === '(') i = skipGroup(code, i); // func (r *T) Name
+  if (code[i]?.type !== 'identifier') return null;
+  return { name: code[i].text, kind: CLASS_KEYWORDS.has(code[k].text) ? 'class' : 'function' };
+};
+
+// const name = (…) => / const name = function / const name = async …
+const boundFunction = (code) => {
+  const k = code.findIndex(t => ['const', 'let', 'var'].includes(t.text));
+  if (k === -1 || code[k + 1]?.type !== 'identifier' || code[k + 2]?.text !== '=') return null;
+  const value = code.slice(k + 3);
+  // An unclosed parameter list continues on the next lines
+  const afterParams = value[0]?.text === '(' ? skipGroup(value, 0) : -1;
+  const isFunction = ['function', 'async'].includes(value[0]?.text)
+    || (value[0]?.type === 'identifier' && value[1]?.text === '=>')
+    || (afterParams !== -1 && (afterParams >= value.length || value[afterParams].text === '=>'));
+  return isFunction ? { name: code[k + 1].text, kind: 'function' } : null;
+};
+
+// name(args) { — a method, not a call with a callback or an anonymous class
+const bareMethod = (code) => {
+  const open = code.findIndex(t => t.text === '(');
+  if (open < 1 || code[code.length - 1].text !== '{') return null;
+  const name = code[open - 1];
+  const before = code[open - 2]?.text;
+  if (name.type !== 'identifier' || ['.', '=', 'new', '?.'].includes(before)) return null;
+  if (skipGroup(code, open) > code.length - 1) return null;
+  return { name: name.text, kind: 'function' };
+};
+
+/**
+ * Named definition on a line, if any
+ * @param {{ type: string, text: string }[]} tokens - tokens of the line
+ * @param {string} language - tokenizer language id
+ * @returns {{ name: string, kind: 'function'|'class' }|null}
+ */
+export const findDefinition = (tokens, language = 'javascript') => {
+  const code = getCodeTokens(tokens);
+  if (code.length === 0) return null;
+  return keywordDefinition(code, language)
+    || (language === 'javascript' && boundFunction(code))
+    || (BARE_METHODS.has(language) && bareMethod(code))
+    || null;
+};
+
+// Last line index of a definition's block (the line itself when it has none)
+const findSectionEnd = (lines, structure, start, language) => {
+  const { depth } = structure[start];
+  let opener = -1;
+  for (let i = start; i < Math.min(lines.length, start + MAX_SIGNATURE_LINES); i++) {
+    if (structure[i].depth !== depth) break;
+    if (structure[i].opens) {
+      opener = i;
+      break;
+    }
+    // A finished statement, e.g. `const double = x => x * 2;`
+    if (getCodeTokens(lines[i].tokens).slice(-1)[0]?.text === ';') break;
+  }
+  if (opener === -1) return start;
+
+  let end = opener + 1;
+  while (end < lines.length && structure[end].depth > depth) end++;
+  // A closing brace at the definition's depth still belongs to it
+  const closing = end < lines.length && language !== 'python'
+    && getCodeTokens(lines[end].tokens)[0]?.text === '}';
+  return closing ? end : end - 1;
+};
+
+/**
+ * Functions, methods and classes with the lines they span (nested ones included)
+ * @param {{ tokens: object[] }[]} lines - non-empty lines in order
+ * @param {{ depth: number, opens: boolean }[]} structure - from getBlockStructure
+ * @param {string} language - tokenizer language id
+ * @returns {{ name: string, kind: 'function'|'class', start: number, end: number }[]}
+ *   start/end: indexes into `lines` (inclusive), in source order
+ */
+export const findSections = (lines, structure, language = 'javascript') =>
+  lines.flatMap(({ tokens }, i) => {
+    const definition = findDefinition(tokens, language);
+    return definition ? [{ ...definition, start: i, end: findSectionEnd(lines, structure, i, language) }] : [];
+  });
+
+/**
+ * Rehearsal letter for the nth section: A–Z, then AA, BB, …
+ * @param {number} index - 0-based
+ * @returns {string}
+ */
+export const getRehearsalLetter = (index) =>
+  String.fromCharCode(65 + (index % 26)).repeat(Math.floor(index / 26) + 1);
+
+/**
+ * A motif as scale steps from its first note, derived from a name so the same
+ * name always gives the same tune
+ * @param {string} name - function or class name
+ * @returns {number[]} MOTIF_LENGTH steps, the first always 0
+ */
+export const getMotif = (name) => {
+  let hash = 0;
+  for (const char of name) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  const steps = [0];
+  for (let i = 1; i < MOTIF_LENGTH; i++) {
+    steps.push(steps[i - 1] + (hash % 7) - 3);
+    hash = Math.floor(hash / 7);
+  }
+  return steps;
+};
+
+// MIDI note a number of scale steps away (the start must be in the scale)
+const moveInScale = (midi, steps, chromas) => {
+  let degree = chromas.indexOf(((midi % 12) + 12) % 12);
+  if (degree === -1) return midi;
+  let result = midi;
+  for (let i = 0; i < Math.abs(steps); i++) {
+    if (steps > 0) {
+      degree = (degree + 1) % chromas.length;
+      result += ((chromas[degree] - (result % 12) + 12) % 12) || 12;
+    } else {
+      degree = (degree - 1 + chromas.length) % chromas.length;
+      result -= (((result % 12) - chromas[degree] + 12) % 12) || 12;
+    }
+  }
+  while (result > 127) result -= 12;
+  while (result < 0) result += 12;
+  return result;
+};
+
+/**
+ * Give every function and class its own motif and section (mutates the notes).
+ * A motif replaces the pitches of the next MOTIF_LENGTH notes from its
+ * definition, and again from every call, until the next definition or call.
+ * Calls repeat the motif at the pitch it was defined at.
+ * @param {object[]} notes - score notes, one per non-empty line
+ * @param {{ tokens: object[] }[]} lines - the non-empty lines the notes come from
+ * @param {{ depth: number, opens: boolean }[]} structure - from getBlockStructure
+ * @param {string} keySig - key of the piece
+ * @param {string} language - tokenizer language id
+ * @returns {{ letter: string, name: string, kind: string, line: number, endLine: number,
+ *   noteIndex: number }[]} Sections in source order; notes in a motif get `motif` (the name)
+ */
+export const applyMotifs = (notes, lines, structure, keySig, language = 'javascript') => {
+  const chromas = getScaleNotes(keySig).map(pitchClass => Note.chroma(pitchClass));
+  const motifs = new Map();
+  const sections = findSections(lines, structure, language);
+  const anchors = sections.map(({ name, start }) => {
+    if (!motifs.has(name)) {
+      const first = Note.midi(notes[start].noteName) ?? notes[start].midiNote;
+      motifs.set(name, getMotif(name).map(step => moveInScale(first, step, chromas)));
+    }
+    return { index: start, name };
+  });
+
+  // Calls: a known name followed by "(" (the definitions themselves are anchored above)
+  const definitionLines = new Set(anchors.map(anchor => anchor.index));
+  lines.forEach((entry, i) => {
+    if (definitionLines.has(i)) return;
+    const code = getCodeTokens(entry.tokens);
+    const call = code.find((t, k) => t.type === 'identifier' && motifs.has(t.text) && code[k + 1]?.text === '(');
+    if (call) anchors.push({ index: i, name: call.text });
+  });
+  anchors.sort((a, b) => a.index - b.index);
+
+  anchors.forEach(({ index, name }, a) => {
+    const stop = a + 1 < anchors.length ? anchors[a + 1].index : notes.length;
+    let step = 0;
+    for (let i = index; i < stop && step < MOTIF_LENGTH; i++) {
+      const note = notes[i];
+      if (note.isRest) continue;
+      note.midiNote = motifs.get(name)[step];
+      note.noteName = spellNote(note.midiNote, keySig);
+      note.motif = name;
+      step++;
+    }
+  });
+
+  return sections.map(({ name, kind, start, end }, i) => ({
+    letter: getRehearsalLetter(i),
+    name,
+    kind,
+    line: notes[start].line,
+    endLine: notes[end].line,
+    noteIndex: start,
+  }));
+};
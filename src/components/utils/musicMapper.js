@@ -2,149 +2,265 @@
 // Maps code structure → musical parameters (pitch, scale, time sig, instrument, etc.)
 
 import { Note, Scale } from '@tonaljs/tonal';
+import { CLASSIC_PROFILE } from './mappingProfiles';
+import {
+  MODES, parseKey, formatKey, normalizeKey, getSignatureFifths, getNoteByFifths,
+} from './keys';
+import { getCodeTokens } from './tokenizer';
+
+const has = (table, key) => Object.prototype.hasOwnProperty.call(table, key);
 
 /**
  * Get key signature based on file extension
  * @param {string} filename - e.g., "app.js", "main.py"
+ * @param {object} profile - mapping profile (see mappingProfiles.js)
  * @returns {string} Key like "C", "G", "Am", etc.
  */
-export const getKeySignatureByExtension = (filename = '') => {
+export const getKeySignatureByExtension = (filename = '', profile = CLASSIC_PROFILE) => {
   const ext = filename.split('.').pop()?.toLowerCase() || 'js';
-  const keyMap = {
-    js: 'C',
-    jsx: 'G',
-    ts: 'D',
-    tsx: 'A',
-    py: 'Am',
-    php: 'F',
-    java: 'Bb',
-    c: 'Eb',
-    cpp: 'Ab',
-    rb: 'E',
-    go: 'B',
-    rs: 'Em',
-    swift: 'D',
-    default: 'C'
-  };
-  return keyMap[ext] || keyMap.default;
+  const { keys } = profile;
+  return keys[ext] || keys.default || 'C';
+};
+
+// Unreadable keys fall back to C major
+const DEFAULT_KEY = { tonic: 'C', mode: 'major' };
+
+const readKey = (key) => normalizeKey(parseKey(key) || DEFAULT_KEY);
+
+/**
+ * Position of a key on the circle of fifths (as written in MIDI/MusicXML key signatures)
+ * @param {string} key - e.g. "Bb", "Am", "D dorian"
+ * @returns {{ fifths: number, minor: boolean, mode: string }} fifths: -7..7 (negative = flats);
+ *   minor: the minor flag MIDI expects; mode: a key of MODES
+ */
+export const getKeyFifths = (key = 'C') => {
+  const parsed = readKey(key);
+  return { fifths: getSignatureFifths(parsed), minor: MODES[parsed.mode].minor, mode: parsed.mode };
+};
+
+/**
+ * Key name for a circle-of-fifths position (inverse of getKeyFifths)
+ * @param {number} fifths - -7..7
+ * @param {boolean} minor
+ * @returns {string} Key like "Eb" or "F#m", "C" when out of range
+ */
+export const getKeyByFifths = (fifths = 0, minor = false) => {
+  if (!Number.isInteger(fifths) || Math.abs(fifths) > 7) return 'C';
+  const mode = minor ? 'minor' : 'major';
+  return formatKey({ tonic: getNoteByFifths(fifths + MODES[mode].offset), mode });
+};
+
+/**
+ * The major key whose signature a key is written with, for VexFlow
+ * @param {string} key - e.g. "D dorian", "Am"
+ * @returns {string} e.g. "C"
+ */
+export const getSignatureKey = (key = 'C') => getKeyByFifths(getKeyFifths(key).fifths);
+
+/**
+ * The same tonic in another mode
+ * @param {string} key - e.g. "Am" (from the file extension)
+ * @param {string|null} mode - a key of MODES; null keeps the key as it is
+ * @returns {string} e.g. "A dorian"
+ */
+export const applyMode = (key = 'C', mode = null) => {
+  if (!mode || !MODES[mode]) return key;
+  return formatKey(normalizeKey({ tonic: readKey(key).tonic, mode }));
+};
+
+/**
+ * Key a number of semitones up or down, spelled with at most 5 flats or 6 sharps
+ * @param {string} key - e.g. "Bb", "Am", "D dorian"
+ * @param {number} semitones - e.g. 2, -3
+ * @returns {string} Transposed key in the same mode, e.g. "C" + 2 → "D", "Am" - 3 → "F#m"
+ */
+export const transposeKey = (key = 'C', semitones = 0) => {
+  const parsed = readKey(key);
+  // A semitone is seven steps round the circle of fifths
+  const shifted = (((getSignatureFifths(parsed) + semitones * 7) % 12) + 12) % 12;
+  const fifths = shifted > 6 ? shifted - 12 : shifted;
+  return formatKey({ tonic: getNoteByFifths(fifths + MODES[parsed.mode].offset), mode: parsed.mode });
 };
 
 /**
  * Determine time signature based on average line length
  * @param {number} avgLength - average characters per line
+ * @param {object} profile - mapping profile
  * @returns {string} Time signature like "4/4", "3/4", "6/8"
  */
-export const getTimeSignatureByAvgLength = (avgLength) => {
-  if (avgLength < 20) return '3/4';
-  if (avgLength > 60) return '6/8';
-  return '4/4';
+export const getTimeSignatureByAvgLength = (avgLength, profile = CLASSIC_PROFILE) => {
+  const { shortBelow, short, longAbove, long } = profile.timeSignature;
+  if (avgLength < shortBelow) return short;
+  if (avgLength > longAbove) return long;
+  return profile.timeSignature.default;
 };
 
+// Keywords that leave the current flow get an accent
+const ACCENT_KEYWORDS = new Set([
+  'return', 'throw', 'raise', 'break', 'continue', 'yield', 'panic', 'exit', 'die',
+]);
+
 /**
- * Map first keyword in line to instrument type
- * @param {string} line - source code line
+ * Map the first mapped keyword/identifier token to an instrument, skipping
+ * punctuation so `} else if (x) {` is voiced by its `if`
+ * @param {{ type: string, text: string }[]} tokens - tokens of one line
+ * @param {object} profile - mapping profile
  * @returns {string} Instrument name: 'piano', 'strings', etc.
  */
-export const getInstrumentByKeyword = (line) => {
-  if (!line) return 'piano';
-
-  const firstWord = line.trim().split(/\s+/)[0]?.replace(/[({;:,]/g, '') || '';
-  const keywordMap = {
-    function: 'piano',
-    class: 'strings',
-    const: 'synth',
-    let: 'pluck',
-    var: 'metal',
-    if: 'piano',
-    for: 'marimba',
-    while: 'organ',
-    return: 'horn',
-    import: 'bell',
-    export: 'glockenspiel',
-    def: 'harp',        // Python
-    print: 'bell',      // Python
-    echo: 'woodwind',   // PHP
-    System: 'brass',    // Java
-    fmt: 'plucked',     // Go
-    default: 'piano'
-  };
-  return keywordMap[firstWord] || keywordMap.default;
+export const getInstrumentByTokens = (tokens = [], profile = CLASSIC_PROFILE) => {
+  const { instruments } = profile;
+  const word = tokens.find(t =>
+    (t.type === 'keyword' || t.type === 'identifier') &&
+    has(instruments, t.text)
+  );
+  return word ? instruments[word.text] : instruments.default;
+};
+
+/**
+ * Derive a duration from the last code token (comments and whitespace ignored).
+ * The profile's duration table is keyed by punctuation/operator text, or by
+ * token type ("string", "literal") for lines ending on a value.
+ * @param {{ type: string, text: string }[]} tokens - tokens of one line
+ * @param {object} profile - mapping profile
+ * @returns {string} Duration like "2n", "4n", "8n"
+ */
+export const getDurationByTokens = (tokens = [], profile = CLASSIC_PROFILE) => {
+  const { durations } = profile;
+  const code = getCodeTokens(tokens);
+  const last = code[code.length - 1];
+  if (!last) return durations.default;
+  if (last.type === 'punctuation' || last.type === 'operator') {
+    return has(durations, last.text) ? durations[last.text] : durations.default;
+  }
+  if (last.type === 'string' || last.type === 'literal') {
+    return durations[last.type] || durations.default;
+  }
+  return durations.default;
+};
+
+/**
+ * Whether a line should be accented: flow-breaking keywords, or literal-heavy lines
+ * @param {{ type: string, text: string }[]} tokens - tokens of one line
+ * @returns {boolean}
+ */
+export const getAccentByTokens = (tokens = []) => {
+  const code = getCodeTokens(tokens);
+  if (code.some(t => t.type === 'keyword' && ACCENT_KEYWORDS.has(t.text))) return true;
+  const values = code.filter(t => t.type === 'string' || t.type === 'literal').length;
+  return code.length > 0 && values / code.length > 0.5;
+};
+
+// Shape of the indent → velocity ramp, x and result in 0..1
+const VELOCITY_CURVES = {
+  linear: x => x,
+  exponential: x => x * x,
+  logarithmic: x => Math.sqrt(x),
 };
 
 /**
  * Calculate velocity and octave shift based on indentation
  * @param {string} line - source code line
+ * @param {object} profile - mapping profile (velocity + pitch.spacesPerOctave)
  * @returns {{ velocity: number, octaveShift: number }}
  */
-export const getVelocityAndOctaveByIndent = (line) => {
+export const getVelocityAndOctaveByIndent = (line, profile = CLASSIC_PROFILE) => {
   if (!line) return { velocity: 0.5, octaveShift: 0 };
 
   const indentMatch = line.match(/^(\s*)/);
   const indentChars = indentMatch ? indentMatch[0] : '';
   const indentLevel = indentChars.length;
 
-  // Velocity: 0.3 base + 0.05 per indent char, max 1.0
-  const velocity = Math.min(0.3 + indentLevel * 0.05, 1.0);
+  // Velocity: base + perIndent per indent char up to max, shaped by the curve
+  const { base, perIndent, max, curve } = profile.velocity;
+  const span = max - base;
+  const x = span > 0 ? Math.min((indentLevel * perIndent) / span, 1) : 0;
+  const shape = VELOCITY_CURVES[curve] || VELOCITY_CURVES.linear;
+  const velocity = Math.min(base + span * shape(x), max);
 
-  // Octave shift: every 4 spaces = +1 octave
-  const octaveShift = Math.floor(indentLevel / 4);
+  // Octave shift: every spacesPerOctave indent chars = +1 octave
+  const octaveShift = Math.floor(indentLevel / profile.pitch.spacesPerOctave);
 
   return { velocity, octaveShift };
 };
 
+// Small stable string hash (djb2), so a line always maps to the same pitch
+const hashString = (text) => {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+  }
+  return hash;
+};
+
 /**
- * Get all note names in a given key (major or minor)
- * @param {string} key - e.g., "C", "Am", "G"
- * @returns {string[]} Array of note names like ["C", "D", "E", ...]
+ * Pitch offset (in semitones above the profile base) for a line
+ * @param {string} line - source code line
+ * @param {{ type: string, text: string }[]} tokens - tokens of the line
+ * @param {object} profile - mapping profile; pitch.strategy is
+ *   'length' (characters / divisor), 'tokens' (code tokens / divisor) or 'hash' (line content)
+ * @returns {number} Offset from 0 to pitch.range
  */
-export const getScaleNotes = (key = 'C') => {
-  try {
-    const isMinor = key.toLowerCase().includes('m') || ['Am', 'Em', 'Dm', 'Bm'].includes(key);
-    const scale = Scale.get(`${key} ${isMinor ? 'minor' : 'major'}`);
-    if (!scale?.notes) return ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
-
-    // Convert flats to sharps
-    const flatMap = { Db: 'C#', Eb: 'D#', Gb: 'F#', Ab: 'G#', Bb: 'A#' };
-    return scale.notes.map(n => flatMap[n] || n);
-  } catch {
-    return ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+export const getPitchOffset = (line, tokens = [], profile = CLASSIC_PROFILE) => {
+  const { strategy, divisor, range } = profile.pitch;
+  switch (strategy) {
+    case 'tokens': {
+      const count = getCodeTokens(tokens).length;
+      return Math.min(Math.floor(count / divisor), range);
+    }
+    case 'hash':
+      return hashString(line.trim()) % (range + 1);
+    default:
+      return Math.min(Math.floor(line.length / divisor), range);
   }
 };
 
+/**
+ * Note names of a key's scale, spelled for the key (flats in flat keys)
+ * @param {string} key - e.g. "C", "Bb", "Am", "A harmonic minor", "D dorian"
+ * @returns {string[]} Pitch classes from the tonic, e.g. ["Bb", "C", "D", "Eb", "F", "G", "A"]
+ */
+export const getScaleNotes = (key = 'C') => {
+  const { tonic, mode } = readKey(key);
+  const { notes } = Scale.get(`${tonic} ${MODES[mode].scale}`);
+  return notes.length ? notes : ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+};
+
+// Pitch class + the octave that makes it sound at this MIDI number ("Cb" an octave up, "B#" down)
+const withOctave = (pitchClass, midi) => `${pitchClass}${Math.round((midi - Note.midi(`${pitchClass}4`)) / 12) + 4}`;
+
+/**
+ * Name a MIDI note as the key spells it: scale notes as in the scale,
+ * other notes with sharps in sharp keys and flats in flat keys
+ * @param {number} midi - MIDI note number
+ * @param {string} key - e.g. "F", "E"
+ * @returns {string} e.g. 70 in F → "Bb4", 70 in E → "A#4"
+ */
+export const spellNote = (midi, key = 'C') => {
+  const chroma = ((midi % 12) + 12) % 12;
+  const inScale = getScaleNotes(key).find(pitchClass => Note.chroma(pitchClass) === chroma);
+  if (inScale) return withOctave(inScale, midi);
+  const name = getKeyFifths(key).fifths < 0 ? Note.fromMidi(midi) : Note.fromMidiSharps(midi);
+  return withOctave(Note.pitchClass(name), midi);
+};
+
 /**
  * Constrain a note to the nearest note within a given key/scale
  * @param {string} noteName - e.g., "C#4", "F5"
- * @param {string} key - e.g., "C", "Am"
- * @returns {string} In-scale note name, e.g., "C4", "E5"
+ * @param {string} key - e.g., "C", "Am", "D dorian"
+ * @returns {string} In-scale note name spelled for the key, e.g. "C4", "Bb4";
+ *   the octave follows the pitch, so B4 moved up a semitone becomes C5
  */
 export const constrainNoteToKey = (noteName, key = 'C') => {
-  if (!noteName || typeof noteName !== 'string') return 'C4';
-
-  // Extract note and octave
-  const match = noteName.match(/^([A-G][#b]?)(\d+)$/);
-  if (!match) return 'C4';
-
-  let [_, notePart, octaveStr] = match;
-  const octave = parseInt(octaveStr, 10);
-
-  // Get scale notes (sharps only)
-  const scaleNotes = getScaleNotes(key);
-  const targetChroma = Note.get(noteName).chroma;
-  if (targetChroma == null) return 'C4';
-
-  // Find closest in-scale note
-  let closest = scaleNotes[0];
-  let minDist = 12;
-  for (const n of scaleNotes) {
-    const c = Note.get(n).chroma;
-    if (c == null) continue;
-    const d = Math.min(Math.abs(targetChroma - c), 12 - Math.abs(targetChroma - c));
-    if (d < minDist) {
-      minDist = d;
-      closest = n;
-    }
-  }
+  const midi = typeof noteName === 'string' ? Note.midi(noteName) : null;
+  if (midi == null) return 'C4';
+
+  // Nearest scale note up or down; on a tie the earlier scale degree wins
+  let closest = null;
+  getScaleNotes(key).forEach(pitchClass => {
+    const up = ((Note.chroma(pitchClass) - (midi % 12)) + 12) % 12;
+    const shift = up > 6 ? up - 12 : up;
+    if (!closest || Math.abs(shift) < Math.abs(closest.shift)) closest = { pitchClass, shift };
+  });
 
-  // Return in same octave, with sharp notation
-  return closest + octave;
+  return withOctave(closest.pitchClass, midi + closest.shift);
 };
@@ -0,0 +1,271 @@
+// src/components/utils/musicXmlExporter.js
+
+/**
+ * Export a composed score as MusicXML (score-partwise):
+ * one part per instrument, measures split by the time signature,
+ * key signature as fifths, source lines as lyrics; combined scores change
+ * key and time where each movement starts
+ */
+
+import { Note } from '@tonaljs/tonal';
+import { durationToBeats, getMeasureBeats, parseDuration } from './composer';
+import { getNotePitches } from './arranger';
+import { getKeyFifths } from './musicMapper';
+import { DRUM_SOUNDS } from './instruments';
+import { getHitBeats } from './drumPattern';
+
+// Divisions per quarter note: 24 writes dotted sixteenths (9) and sixteenth triplets (4) as whole numbers
+const DIVISIONS = 24;
+
+const NOTE_TYPES = {
+  1: 'whole',
+  2: 'half',
+  4: 'quarter',
+  8: 'eighth',
+  16: '16th',
+  32: '32nd',
+  64: '64th',
+};
+
+const TRIPLET_XML = '<time-modification><actual-notes>3</actual-notes><normal-notes>2</normal-notes></time-modification>';
+
+// Note value elements for a duration: type, dot and the 3:2 ratio of a triplet
+const typeXML = (duration) => {
+  const { value, dotted, triplet } = parseDuration(duration);
+  return `<type>${NOTE_TYPES[value] || 'quarter'}</type>${dotted ? '<dot/>' : ''}${triplet ? TRIPLET_XML : ''}`;
+};
+
+const escapeXML = (text = '') =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const pitchXML = (noteName) => {
+  const { letter, alt, oct } = Note.get(noteName);
+  if (!letter) return '<pitch><step>C</step><octave>4</octave></pitch>';
+  const alter = alt ? `<alter>${alt}</alter>` : '';
+  return `<pitch><step>${letter}</step>${alter}<octave>${oct}</octave></pitch>`;
+};
+
+// Rest values in divisions, largest first, for filling gaps
+const REST_TYPES = [[96, '1n'], [48, '2n'], [24, '4n'], [12, '8n'], [6, '16n']];
+
+const restXML = (length, type) => `<note><rest/><duration>${length}</duration><voice>1</voice>${type}</note>`;
+
+const restsXML = (divisions) => {
+  const out = [];
+  let remaining = divisions;
+  // Triplets leave gaps off the 32nd grid (3 divisions); a sixteenth (4) or
+  // eighth (8) triplet rest brings them back onto it, or a 64th (1) or 32nd (2)
+  // triplet when the gap is smaller than that
+  const triplets = [[], [[4, 16], [1, 64]], [[8, 8], [2, 32]]][remaining % 3];
+  const triplet = triplets.find(([length]) => remaining >= length);
+  if (triplet) {
+    out.push(restXML(triplet[0], `<type>${NOTE_TYPES[triplet[1]]}</type>${TRIPLET_XML}`));
+    remaining -= triplet[0];
+  }
+  REST_TYPES.forEach(([length, duration]) => {
+    while (remaining >= length) {
+      out.push(restXML(length, typeXML(duration)));
+      remaining -= length;
+    }
+  });
+  // What a dotted sixteenth leaves
+  if (remaining >= 3) out.push(restXML(3, '<type>32nd</type>'));
+  return out;
+};
+
+// Diff mode: added lines green, removed lines red
+const CHANGE_COLORS = {
+  added: '#16A34A',
+  removed: '#DC2626',
+};
+
+const noteXML = (note, voice) => {
+  const duration = Math.round(durationToBeats(note.duration) * DIVISIONS);
+  const type = typeXML(note.duration);
+  const pitches = getNotePitches(note, voice);
+  const color = CHANGE_COLORS[note.change] ? ` color="${CHANGE_COLORS[note.change]}"` : '';
+
+  if (pitches.length === 0) {
+    return [`<note${color}><rest/><duration>${duration}</duration><voice>1</voice>${type}</note>`];
+  }
+
+  return pitches.map((pitch, i) => {
+    const chord = i > 0 ? '<chord/>' : '';
+    const accent = note.accent && i === 0 && voice === 'melody'
+      ? '<notations><articulations><accent/></articulations></notations>'
+      : '';
+    const lyric = i === 0 && voice === 'melody' && note.content?.trim()
+      ? `<lyric number="1"><syllabic>single</syllabic><text>${escapeXML(note.content.trim())}</text></lyric>`
+      : '';
+    return `<note${color}>${chord}${pitchXML(pitch)}<duration>${duration}</duration><voice>1</voice>` +
+      `${type}${accent}${lyric}</note>`;
+  });
+};
+
+// Unpitched drum hit: display position on the percussion staff, x noteheads for cymbals/claps
+const drumHitXML = (hit, duration, type) =>
+  hit.sounds.map((sound, i) => {
+    const { step, octave, vexKey } = DRUM_SOUNDS[sound];
+    const chord = i > 0 ? '<chord/>' : '';
+    const notehead = vexKey.endsWith('/x2') ? '<notehead>x</notehead>' : '';
+    return `<note>${chord}<unpitched><display-step>${step}</display-step><display-octave>${octave}</display-octave></unpitched>` +
+      `<duration>${duration}</duration><voice>1</voice>${type}<stem>up</stem>${notehead}</note>`;
+  });
+
+const CLEFS = {
+  melody: '<sign>G</sign><line>2</line>',
+  bass: '<sign>F</sign><line>4</line>',
+  drums: '<sign>percussion</sign>',
+};
+
+const keyXML = (keySig) => {
+  const { fifths, minor, mode } = getKeyFifths(keySig);
+  return `<key><fifths>${fifths}</fifths><mode>${minor ? 'minor' : mode}</mode></key>`;
+};
+
+const timeXML = (timeSig) => {
+  const [beats, beatType] = timeSig.split('/');
+  return `<time><beats>${beats}</beats><beat-type>${beatType}</beat-type></time>`;
+};
+
+const attributesXML = (part, keySig, timeSig) => {
+  const clef = CLEFS[part.voice] || CLEFS.melody;
+  return '<attributes>' +
+    `<divisions>${DIVISIONS}</divisions>` +
+    `${keyXML(keySig)}${timeXML(timeSig)}` +
+    `<clef>${clef}</clef>` +
+    '</attributes>';
+};
+
+// Key and/or time change where a movement of a combined score brings new ones
+const signatureChangeXML = (previous, current) => {
+  const key = current.keySig !== previous.keySig ? keyXML(current.keySig) : '';
+  const time = current.timeSig !== previous.timeSig ? timeXML(current.timeSig) : '';
+  return key || time ? `<attributes>${key}${time}</attributes>` : '';
+};
+
+/**
+ * Key and meter of every measure: the score's own, or in a combined score
+ * those of the movement (metadata.sections) the measure belongs to
+ * @param {object[]} measures - score measures, in order
+ * @param {{ keySig: string, timeSig: string, sections?: object[] }} metadata
+ * @returns {{ keySig: string, timeSig: string, beats: number }[]} One per measure; beats per measure
+ */
+const measureSignatures = (measures, { keySig, timeSig, sections = [] }) => {
+  const ordered = [...sections].sort((a, b) => a.measure - b.measure);
+  let current = { keySig, timeSig };
+  let next = 0;
+  return measures.map(measure => {
+    while (next < ordered.length && ordered[next].measure <= measure.number) {
+      current = { keySig: ordered[next].keySig || current.keySig, timeSig: ordered[next].timeSig || current.timeSig };
+      next++;
+    }
+    return { ...current, beats: getMeasureBeats(current.timeSig) };
+  });
+};
+
+// Rehearsal letter, `offset` divisions into the measure
+const rehearsalXML = (letter, offset) =>
+  '<direction placement="above"><direction-type>' +
+  `<rehearsal enclosure="square">${escapeXML(letter)}</rehearsal></direction-type>` +
+  `${offset > 0 ? `<offset>${offset}</offset>` : ''}</direction>`;
+
+const tempoXML = (tempo) =>
+  '<direction placement="above"><direction-type><metronome>' +
+  `<beat-unit>quarter</beat-unit><per-minute>${tempo}</per-minute>` +
+  `</metronome></direction-type><sound tempo="${tempo}"/></direction>`;
+
+/**
+ * Build a MusicXML document for a score
+ * @param {{ metadata: object, notes: object[], measures: object[], parts: object[] }} score
+ * @param {{ tempo?: number }} options
+ * @returns {string} MusicXML 4.0 partwise document
+ */
+export const generateMusicXML = (score, { tempo = 120 } = {}) => {
+  const { metadata, notes, measures, parts, drums = [] } = score;
+  const { keySig = 'C', timeSig = '4/4', filename = 'Code2Score', phrases = [], sections } = metadata;
+  const signatures = measureSignatures(measures, { keySig, timeSig, sections });
+
+  const partList = parts.map(part =>
+    `<score-part id="${part.id}"><part-name>${escapeXML(part.label)}</part-name>` +
+    `<score-instrument id="${part.id}-I1"><instrument-name>${escapeXML(part.label)}</instrument-name></score-instrument>` +
+    `<midi-instrument id="${part.id}-I1"><midi-channel>${part.channel + 1}</midi-channel>` +
+    `<midi-program>${part.program + 1}</midi-program></midi-instrument></score-part>`
+  );
+
+  const partBodies = parts.map((part, partIndex) => {
+    const inPart = new Set(part.noteIndexes);
+
+    const measureXML = measures.map((measure, m) => {
+      const signature = signatures[m];
+      const measureBeats = signature.beats;
+      const measureDivisions = measureBeats * DIVISIONS;
+      const hitDivisions = Math.round(getHitBeats(signature.timeSig) * DIVISIONS);
+      const hitType = typeXML(`${4 / getHitBeats(signature.timeSig)}n`);
+      const body = [];
+      if (m === 0) {
+        body.push(attributesXML(part, signature.keySig, signature.timeSig));
+        if (partIndex === 0) body.push(tempoXML(tempo));
+      } else {
+        body.push(signatureChangeXML(signatures[m - 1], signature));
+      }
+      if (partIndex === 0) {
+        phrases
+          .filter(phrase => phrase.measure === measure.number)
+          .forEach(phrase => body.push(rehearsalXML(phrase.letter, Math.round((phrase.beat - measure.startBeat) * DIVISIONS))));
+      }
+
+      const partNotes = measure.noteIndexes.map(i => notes[i]).filter(note => inPart.has(note.index));
+      const measureHits = part.voice === 'drums'
+        ? drums.filter(hit => hit.beat >= measure.startBeat && hit.beat < measure.startBeat + measureBeats)
+        : [];
+
+      if (part.voice === 'drums' && measureHits.length > 0) {
+        let cursor = 0;
+        measureHits.forEach(hit => {
+          const offset = Math.round((hit.beat - measure.startBeat) * DIVISIONS);
+          body.push(...restsXML(offset - cursor));
+          body.push(...drumHitXML(hit, hitDivisions, hitType));
+          cursor = offset + hitDivisions;
+        });
+        body.push(...restsXML(measureDivisions - cursor));
+      } else if (partNotes.length === 0) {
+        body.push(`<note><rest measure="yes"/><duration>${measureDivisions}</duration><voice>1</voice></note>`);
+      } else {
+        // Fill the time other parts play with rests so every measure adds up
+        let cursor = 0;
+        partNotes.forEach(note => {
+          const offset = Math.round((note.startBeat - measure.startBeat) * DIVISIONS);
+          body.push(...restsXML(offset - cursor));
+          body.push(...noteXML(note, part.voice));
+          cursor = offset + Math.round(durationToBeats(note.duration) * DIVISIONS);
+        });
+        body.push(...restsXML(measureDivisions - cursor));
+      }
+
+      if (m === measures.length - 1) {
+        body.push('<barline location="right"><bar-style>light-heavy</bar-style></barline>');
+      }
+      return `<measure number="${measure.number}">${body.join('')}</measure>`;
+    });
+
+    return `<part id="${part.id}">\n${measureXML.join('\n')}\n</part>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+    '<score-partwise version="4.0">',
+    `<work><work-title>${escapeXML(filename)}</work-title></work>`,
+    '<identification><encoding><software>Code2Score</software></encoding></identification>',
+    `<part-list>${partList.join('')}</part-list>`,
+    ...partBodies,
+    '</score-partwise>',
+    '',
+  ].join('\n');
+};
@@ -0,0 +1,61 @@
+// src/components/utils/musicXmlExporter.test.mjs
+// MusicXML of combined scores: every movement keeps its own key and meter
+// (run with `npm test`)
+
+import { register } from 'node:module';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+register('../../../bin/loader.mjs', import.meta.url);
+
+const { composeMovements, combineMovements } = await import('./repository.js');
+const { generateMusicXML } = await import('./musicXmlExporter.js');
+
+// Short Python lines give A minor in 3/4, long Java lines B♭ major in 4/4
+const FILES = [
+  { path: 'a.py', source: 'def f(x):\n    return x\nprint(f(1))\nfor i in range(3):\n    print(i)\n' },
+  {
+    path: 'b.java',
+    source: 'public class B {\n' +
+      '  public static void main(String[] args) {\n' +
+      '    int totalCountOfThingsInTheRepository = computeTheValueOfSomething(args.length);\n' +
+      '    System.out.println("the value of the computation is " + totalCountOfThingsInTheRepository);\n' +
+      '  }\n}\n',
+  },
+];
+
+const measuresOf = (xml) =>
+  xml.split('<part id=')[1].split('<measure ').slice(1).map(measure => ({
+    attributes: (measure.match(/<attributes>.*?<\/attributes>/) || [''])[0],
+    divisions: [...measure.matchAll(/<note(?: [^>]*)?>([\s\S]*?)<\/note>/g)]
+      .filter(([, body]) => !body.includes('<chord/>'))
+      .reduce((sum, [, body]) => sum + Number(body.match(/<duration>(\d+)<\/duration>/)[1]), 0),
+  }));
+
+test('a combined score changes key and time where each movement starts', () => {
+  const score = combineMovements(composeMovements(FILES, { drums: true }));
+  const [first, second] = score.metadata.sections;
+  assert.deepEqual([first.keySig, first.timeSig, second.keySig, second.timeSig], ['Am', '3/4', 'Bb', '4/4']);
+
+  const measures = measuresOf(generateMusicXML(score));
+  measures.forEach((measure, m) => {
+    const section = m + 1 >= second.measure ? second : first;
+    assert.equal(measure.divisions, Number(section.timeSig[0]) * 24, `measure ${m + 1}`);
+  });
+  assert.match(measures[0].attributes, /<fifths>0<\/fifths><mode>minor<\/mode>.*<beats>3<\/beats>/);
+  assert.equal(
+    measures[second.measure - 1].attributes,
+    '<attributes><key><fifths>-2</fifths><mode>major</mode></key>' +
+      '<time><beats>4</beats><beat-type>4</beat-type></time></attributes>'
+  );
+  measures.slice(1).forEach((measure, m) => {
+    if (m + 2 !== second.measure) assert.equal(measure.attributes, '');
+  });
+});
+
+test('a single score writes its signatures once', () => {
+  const [{ score }] = composeMovements(FILES.slice(1));
+  const measures = measuresOf(generateMusicXML(score));
+  assert.match(measures[0].attributes, /<fifths>-2<\/fifths>/);
+  assert.ok(measures.slice(1).every(measure => measure.attributes === ''));
+});
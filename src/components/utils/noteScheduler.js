@@ -0,0 +1,124 @@
+// src/components/utils/noteScheduler.js
+// Turns a score into timed playback events (seconds) — no Tone or Web Audio needed
+
+import { durationToBeats } from './composer';
+import { getNotePitches } from './arranger';
+import { getHitBeats } from './drumPattern';
+
+/**
+ * Convert quarter-note beats to seconds
+ * @param {number} beats
+ * @param {number} tempo - quarter notes per minute
+ * @returns {number} Seconds
+ */
+export const beatsToSeconds = (beats, tempo = 120) => (beats * 60) / tempo;
+
+/**
+ * Tempo factor in effect at a beat
+ * @param {{ beat: number, scale: number }[]} tempoMap - metadata.tempoMap, sorted by beat
+ * @param {number} beat - position in quarter-note beats
+ * @returns {number} Multiplier for the base tempo, 1 without changes
+ */
+export const getTempoScaleAt = (tempoMap = [], beat = 0) =>
+  tempoMap.reduce((scale, change) => (change.beat <= beat ? change.scale : scale), 1);
+
+/**
+ * Beat → seconds for a base tempo bent by a tempo map
+ * @param {{ beat: number, scale: number }[]} tempoMap - metadata.tempoMap, sorted by beat
+ * @param {number} tempo - base tempo, quarter notes per minute
+ * @returns {(beat: number) => number} Seconds from the start of the piece
+ */
+export const createBeatClock = (tempoMap = [], tempo = 120) => (beat) => {
+  let seconds = 0;
+  let from = 0;
+  let scale = 1;
+  for (const change of tempoMap) {
+    if (change.beat >= beat) break;
+    seconds += beatsToSeconds(change.beat - from, tempo * scale);
+    from = change.beat;
+    scale = change.scale;
+  }
+  return seconds + beatsToSeconds(beat - from, tempo * scale);
+};
+
+/**
+ * Schedule every part of a score on one timeline (following metadata.tempoMap, if any)
+ * @param {{ notes: object[], parts: object[], drums?: object[] }} score - from composeFromSource
+ * @param {{ tempo?: number }} options - base tempo
+ * @returns {{ time: number, duration: number, startBeat: number, beats: number,
+ *   pitches: string[], velocity: number, instrument: string, noteIndex: number,
+ *   line: number|null, percussion?: boolean }[]} Events sorted by time.
+ *   Drum events have `percussion: true` and drum sound names as `pitches`.
+ */
+export const scheduleScore = (score, { tempo = 120 } = {}) => {
+  const events = [];
+  const hitBeats = getHitBeats(score.metadata?.timeSig);
+  const toSeconds = createBeatClock(score.metadata?.tempoMap, tempo);
+  const span = (startBeat, beats) => toSeconds(startBeat + beats) - toSeconds(startBeat);
+
+  score.parts.forEach(part => {
+    if (part.voice === 'drums') {
+      (score.drums || []).forEach(hit => {
+        events.push({
+          time: toSeconds(hit.beat),
+          duration: span(hit.beat, hitBeats),
+          startBeat: hit.beat,
+          beats: hitBeats,
+          pitches: hit.sounds,
+          velocity: hit.velocity,
+          instrument: part.instrument,
+          noteIndex: hit.noteIndex,
+          line: hit.line,
+          percussion: true,
+        });
+      });
+      return;
+    }
+
+    part.noteIndexes.forEach(noteIndex => {
+      const note = score.notes[noteIndex];
+      const pitches = getNotePitches(note, part.voice);
+      if (pitches.length === 0) return;
+
+      const beats = durationToBeats(note.duration);
+      events.push({
+        time: toSeconds(note.startBeat),
+        duration: span(note.startBeat, beats),
+        startBeat: note.startBeat,
+        beats,
+        pitches,
+        velocity: note.velocity,
+        instrument: part.instrument,
+        noteIndex,
+        line: note.line,
+      });
+    });
+  });
+
+  return events.sort((a, b) => a.time - b.time || a.noteIndex - b.noteIndex);
+};
+
+/**
+ * Total length of a schedule, including a release tail for the last notes
+ * @param {{ time: number, duration: number }[]} events - from scheduleScore
+ * @param {number} release - extra seconds after the last note ends
+ * @returns {number} Seconds
+ */
+export const getScheduleDuration = (events, release = 1.5) =>
+  events.reduce((end, e) => Math.max(end, e.time + e.duration), 0) + release;
+
+/**
+ * Beat range covered by the notes of a source line range (for loop regions)
+ * @param {{ notes: object[] }} score - from composeFromSource
+ * @param {number} fromLine - first source line (1-based, inclusive)
+ * @param {number} toLine - last source line (inclusive)
+ * @returns {{ startBeat: number, endBeat: number }|null} null when no note comes from those lines
+ */
+export const getLineRangeBeats = (score, fromLine, toLine) => {
+  const inRange = score.notes.filter(note => note.line != null && note.line >= fromLine && note.line <= toLine);
+  if (inRange.length === 0) return null;
+  return {
+    startBeat: Math.min(...inRange.map(note => note.startBeat)),
+    endBeat: Math.max(...inRange.map(note => note.startBeat + durationToBeats(note.duration))),
+  };
+};
@@ -0,0 +1,91 @@
+// src/components/utils/overrides.js
+// Notes set by hand: a line's pitch, duration, velocity or instrument can be
+// overridden without touching the code. Overrides are keyed by a hash of the
+// line's text, so they follow the line while the rest of the file is edited.
+
+import { Note } from '@tonaljs/tonal';
+import { spellNote } from './musicMapper';
+import { getFittingDurations } from './composer';
+
+// Fields an override may set, in the order they are shown
+export const OVERRIDE_FIELDS = ['pitch', 'duration', 'velocity', 'instrument'];
+
+// FNV-1a, 32 bit, as 8 hex digits
+const hashText = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+};
+
+/**
+ * Override keys for a list of lines: the hash of the trimmed text and which
+ * repeat of that text it is, e.g. "9f1c2a07:1", "9f1c2a07:2" for two `}` lines
+ * @param {string[]} contents - line texts, in order (one per note)
+ * @returns {string[]} One key per line
+ */
+export const getLineKeys = (contents) => {
+  const seen = new Map();
+  return contents.map(content => {
+    const hash = hashText(content.trim());
+    const count = (seen.get(hash) || 0) + 1;
+    seen.set(hash, count);
+    return `${hash}:${count}`;
+  });
+};
+
+/**
+ * Apply one line's override to its note (mutates the note). A new pitch moves
+ * the note's chord with it; rests only take a new duration, and only one that
+ * fits a measure of the note's time signature.
+ * @param {object} note - score note, before it is laid out in a measure
+ * @param {{ pitch?: string, duration?: string, velocity?: number, instrument?: string }} override
+ *   pitch is a note name before transposition, e.g. "E4"
+ * @returns {boolean} Whether anything changed; the note then gets `override` (the fields applied)
+ */
+export const applyOverride = (note, override) => {
+  const applied = {};
+
+  if (override.duration && getFittingDurations(note.timeSig).includes(override.duration)) {
+    note.duration = override.duration;
+    applied.duration = override.duration;
+  }
+  if (!note.isRest) {
+    const midi = override.pitch ? Note.midi(override.pitch) : null;
+    if (midi !== null) {
+      const shift = midi - note.midiNote;
+      note.midiNote = midi;
+      note.noteName = spellNote(midi, note.keySig);
+      if (note.chord) {
+        note.chord = note.chord.map(name => spellNote(Math.min(Math.max(Note.midi(name) + shift, 0), 127), note.keySig));
+      }
+      applied.pitch = override.pitch;
+    }
+    if (typeof override.velocity === 'number') {
+      note.velocity = override.velocity;
+      applied.velocity = override.velocity;
+    }
+    if (override.instrument) {
+      note.instrument = override.instrument;
+      applied.instrument = override.instrument;
+    }
+  }
+
+  if (Object.keys(applied).length === 0) return false;
+  note.override = applied;
+  return true;
+};
+
+/**
+ * Apply overrides to composed notes (mutates the notes; see applyOverride)
+ * @param {object[]} notes - score notes, before they are laid out in measures
+ * @param {Object<string, object>} overrides - by line key (see getLineKeys)
+ * @returns {number} How many notes were overridden
+ */
+export const applyOverrides = (notes, overrides) => {
+  if (!overrides || Object.keys(overrides).length === 0) return 0;
+  const keys = getLineKeys(notes.map(note => note.content));
+  return notes.filter((note, i) => overrides[keys[i]] && applyOverride(note, overrides[keys[i]])).length;
+};
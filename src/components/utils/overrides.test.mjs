@@ -0,0 +1,95 @@
+// src/components/utils/overrides.test.mjs
+// Hand-set notes: which overrides a project may carry, and that every duration
+// the note editor offers composes and exports (run with `npm test`)
+
+import { register } from 'node:module';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+register('../../../bin/loader.mjs', import.meta.url);
+
+const { DURATIONS } = await import('./mappingProfiles.js');
+const {
+  composeFromSource, durationToBeats, getMeasureBeats, getFittingDurations, layoutMeasures,
+} = await import('./composer.js');
+const { getLineKeys } = await import('./overrides.js');
+const { readOverrides } = await import('./project.js');
+const { generateMusicXML } = await import('./musicXmlExporter.js');
+
+// Lines long enough for 4/4, where a whole note fits a measure
+const SOURCE = DURATIONS.map((duration, i) => `const durationLine${i} = computeValue(${i});`).join('\n');
+
+test('readOverrides keeps every supported duration and drops the rest', () => {
+  const keys = getLineKeys(['a', 'b', 'c', 'd']);
+  const read = readOverrides({
+    [keys[0]]: { duration: '4n.' },
+    [keys[1]]: { duration: '8t' },
+    [keys[2]]: { duration: '32n' },
+    [keys[3]]: { duration: '4n..', velocity: 0.5 },
+    'not-a-key': { duration: '4n' },
+  });
+  assert.deepEqual(read, {
+    [keys[0]]: { duration: '4n.' },
+    [keys[1]]: { duration: '8t' },
+    [keys[3]]: { velocity: 0.5 },
+  });
+  DURATIONS.forEach(duration => {
+    assert.deepEqual(readOverrides({ [keys[0]]: { duration } }), { [keys[0]]: { duration } });
+  });
+});
+
+test('each supported duration set by hand composes and fills its MusicXML measures', () => {
+  const keys = getLineKeys(SOURCE.split('\n'));
+  const overrides = Object.fromEntries(keys.map((key, i) => [key, { duration: DURATIONS[i] }]));
+  const score = composeFromSource(SOURCE, { filename: 'durations.js', overrides: readOverrides(overrides) });
+
+  assert.equal(score.metadata.overridden, DURATIONS.length);
+  assert.deepEqual(score.notes.map(note => note.duration), DURATIONS);
+  const measureBeats = getMeasureBeats(score.metadata.timeSig);
+  score.measures.forEach(measure => {
+    const beats = measure.noteIndexes.reduce((sum, i) => sum + durationToBeats(score.notes[i].duration), 0);
+    assert.ok(beats <= measureBeats + 1e-9, `measure ${measure.number} holds ${beats} beats`);
+  });
+
+  const xml = generateMusicXML(score);
+  const divisions = Number(xml.match(/<divisions>(\d+)<\/divisions>/)[1]);
+  const measureDivisions = measureBeats * divisions;
+  xml.split('<measure ').slice(1).forEach(measure => {
+    const total = [...measure.matchAll(/<note>([\s\S]*?)<\/note>/g)]
+      .filter(([, body]) => !body.includes('<chord/>'))
+      .reduce((sum, [, body]) => sum + Number(body.match(/<duration>(\d+)<\/duration>/)[1]), 0);
+    assert.equal(total, measureDivisions);
+  });
+});
+
+test('only durations that fit a measure are offered and applied', () => {
+  assert.deepEqual(getFittingDurations('4/4'), DURATIONS);
+  assert.ok(!getFittingDurations('3/4').includes('1n'));
+  assert.ok(getFittingDurations('3/4').includes('2n.'));
+  assert.ok(!getFittingDurations('2/4').includes('2n.'));
+  assert.ok(getFittingDurations('6/8').includes('2n.'));
+
+  // Short lines give 3/4, where a whole note would overfill the bar
+  const source = 'a = 1;\nb = 2;\nc = 3;\n';
+  const [key] = getLineKeys(source.split('\n').filter(Boolean));
+  const score = composeFromSource(source, { filename: 'short.js', overrides: { [key]: { duration: '1n', velocity: 0.5 } } });
+  assert.equal(score.metadata.timeSig, '3/4');
+  assert.notEqual(score.notes[0].duration, '1n');
+  assert.deepEqual(score.notes[0].override, { velocity: 0.5 });
+
+  const xml = generateMusicXML(score);
+  xml.split('<measure ').slice(1).forEach(measure => {
+    const total = [...measure.matchAll(/<note>([\s\S]*?)<\/note>/g)]
+      .filter(([, body]) => !body.includes('<chord/>'))
+      .reduce((sum, [, body]) => sum + Number(body.match(/<duration>(\d+)<\/duration>/)[1]), 0);
+    assert.equal(total, 72);
+  });
+});
+
+test('layoutMeasures cuts a note longer than a measure to the longest that fits', () => {
+  const notes = ['4n', '1n', '2n'].map(duration => ({ duration }));
+  const measures = layoutMeasures(notes, '3/4');
+  assert.deepEqual(notes.map(note => note.duration), ['4n', '2n.', '2n']);
+  assert.deepEqual(notes.map(note => note.startBeat), [0, 3, 6]);
+  assert.equal(measures.length, 3);
+});
@@ -0,0 +1,202 @@
+// src/components/utils/project.js
+// Shareable compositions: the editor content and settings as a project object,
+// packed into a URL hash (deflate + base64url) or saved as a .c2s.json file
+
+import { BUILT_IN_PROFILES, resolveProfile, validateProfile, COMMENT_MODES, DURATIONS } from './mappingProfiles';
+import { MODES } from './keys';
+import { MELODIC_INSTRUMENTS } from './instruments';
+import { Note } from '@tonaljs/tonal';
+
+const PROJECT_VERSION = 1;
+export const PROJECT_FILE_EXTENSION = '.c2s.json';
+export const SHARE_HASH_PREFIX = '#c2s=';
+
+// Longer links get cut off by chat apps and some browsers; such projects go to a file
+export const MAX_SHARE_URL_LENGTH = 8000;
+
+const TEMPO_RANGE = [40, 240];
+const TRANSPOSE_RANGE = [-12, 12];
+const OVERRIDE_KEY = /^[0-9a-f]{8}:\d+$/;
+
+/**
+ * Keep the well-formed note overrides (see overrides.js); anything else is dropped
+ * @param {*} overrides - from a project, link or file
+ * @returns {Object<string, object>} By line key; empty when there are none
+ */
+export const readOverrides = (overrides) => {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) return {};
+  const result = {};
+  Object.entries(overrides).forEach(([key, override]) => {
+    if (!OVERRIDE_KEY.test(key) || !override || typeof override !== 'object') return;
+    const { pitch, duration, velocity, instrument } = override;
+    const midi = typeof pitch === 'string' ? Note.midi(pitch) : null;
+    const clean = {
+      ...(midi !== null && midi >= 0 && midi <= 127 && { pitch }),
+      ...(DURATIONS.includes(duration) && { duration }),
+      ...(typeof velocity === 'number' && velocity >= 0 && velocity <= 1 && { velocity }),
+      ...(MELODIC_INSTRUMENTS.includes(instrument) && { instrument }),
+    };
+    if (Object.keys(clean).length > 0) result[key] = clean;
+  });
+  return result;
+};
+
+/**
+ * Everything needed to restore a composition
+ * @param {{ source: string, filename: string, profile: object, mode: string|null, tempo: number,
+ *   transpose: number, commentMode: string, harmony: boolean, motifs: boolean, metrics: boolean,
+ *   drums: boolean, diffMode: boolean, overrides: object }} state
+ * @returns {object} Project; built-in profiles are stored by id, custom ones in full
+ */
+export const createProject = ({
+  source, filename, profile, mode, tempo, transpose, commentMode, harmony, motifs, metrics, drums, diffMode,
+  overrides = {},
+}) => {
+  const builtIn = BUILT_IN_PROFILES.find(p => p.id === profile.id);
+  const isUnchanged = builtIn && JSON.stringify(resolveProfile(builtIn)) === JSON.stringify(profile);
+  return {
+    app: 'code2score',
+    version: PROJECT_VERSION,
+    source,
+    filename,
+    profile: isUnchanged ? profile.id : profile,
+    mode,
+    tempo,
+    transpose,
+    commentMode,
+    harmony,
+    motifs,
+    metrics,
+    drums,
+    diffMode,
+    overrides,
+  };
+};
+
+/**
+ * Check a project (from a link or file) and turn it back into editor state
+ * @param {object} project - parsed project JSON
+ * @returns {object} State as passed to createProject, with a resolved profile
+ * @throws {Error} When the project is malformed; the message names the field
+ */
+export const readProject = (project) => {
+  if (!project || typeof project !== 'object' || project.app !== 'code2score') {
+    throw new Error('Not a Code2Score project');
+  }
+  if (project.version > PROJECT_VERSION) {
+    throw new Error(`Project version ${project.version} is newer than this app supports`);
+  }
+  if (typeof project.source !== 'string') throw new Error('source: expected text');
+  if (typeof project.filename !== 'string' || !project.filename.trim()) throw new Error('filename: required');
+
+  let profile;
+  if (typeof project.profile === 'string') {
+    profile = BUILT_IN_PROFILES.find(p => p.id === project.profile);
+    if (!profile) throw new Error(`profile: unknown built-in profile "${project.profile}"`);
+  } else {
+    const { valid, errors } = validateProfile(project.profile);
+    if (!valid) throw new Error(`profile: ${errors[0]}`);
+    profile = project.profile;
+  }
+  const resolved = resolveProfile(profile);
+
+  const inRange = (value, [min, max], fallback) =>
+    (typeof value === 'number' && value >= min && value <= max ? Math.round(value) : fallback);
+
+  return {
+    source: project.source,
+    filename: project.filename,
+    profile: resolved,
+    mode: MODES[project.mode] ? project.mode : null,
+    tempo: inRange(project.tempo, TEMPO_RANGE, 120),
+    transpose: inRange(project.transpose, TRANSPOSE_RANGE, 0),
+    commentMode: COMMENT_MODES.includes(project.commentMode) ? project.commentMode : resolved.comments,
+    harmony: project.harmony === true,
+    motifs: project.motifs === true,
+    metrics: project.metrics === true,
+    drums: typeof project.drums === 'boolean' ? project.drums : resolved.percussion.enabled,
+    diffMode: project.diffMode === true,
+    overrides: readOverrides(project.overrides),
+  };
+};
+
+/**
+ * Project file contents
+ * @param {object} project - from createProject
+ * @returns {string} Pretty-printed JSON
+ */
+export const stringifyProject = (project) => `${JSON.stringify(project, null, 2)}\n`;
+
+/**
+ * Read a .c2s.json project file
+ * @param {string} text - file contents
+ * @returns {object} Editor state (see readProject)
+ * @throws {Error} On invalid JSON or an invalid project
+ */
+export const parseProjectFile = (text) => {
+  let project;
+  try {
+    project = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+  return readProject(project);
+};
+
+// Streams API (de)compression of a whole buffer
+const pipeThrough = (bytes, transform) =>
+  new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer();
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+/**
+ * Pack a project into a URL hash
+ * @param {object} project - from createProject
+ * @returns {Promise<string>} Hash including the "#c2s=" prefix
+ */
+export const encodeProjectHash = async (project) => {
+  const json = new TextEncoder().encode(JSON.stringify(project));
+  const compressed = await pipeThrough(json, new CompressionStream('deflate-raw'));
+  return `${SHARE_HASH_PREFIX}${toBase64Url(new Uint8Array(compressed))}`;
+};
+
+/**
+ * Unpack a URL hash made by encodeProjectHash
+ * @param {string} hash - location.hash
+ * @returns {Promise<object|null>} Editor state (see readProject), null when the hash holds no project
+ * @throws {Error} When the hash is a damaged or invalid project
+ */
+export const decodeProjectHash = async (hash = '') => {
+  if (!hash.startsWith(SHARE_HASH_PREFIX)) return null;
+  let project;
+  try {
+    const compressed = fromBase64Url(hash.slice(SHARE_HASH_PREFIX.length));
+    const json = await pipeThrough(compressed, new DecompressionStream('deflate-raw'));
+    project = JSON.parse(new TextDecoder().decode(json));
+  } catch (error) {
+    throw new Error('The link is damaged or incomplete');
+  }
+  return readProject(project);
+};
+
+/**
+ * Share link for a project, if it fits
+ * @param {object} project - from createProject
+ * @param {string} baseUrl - page URL without the hash
+ * @returns {Promise<{ url: string, tooLong: boolean }>} tooLong: save a project file instead
+ */
+export const createShareLink = async (project, baseUrl) => {
+  const url = `${baseUrl}${await encodeProjectHash(project)}`;
+  return { url, tooLong: url.length > MAX_SHARE_URL_LENGTH };
+};
@@ -0,0 +1,154 @@
+// src/components/utils/projectLibrary.js
+// Local library of compositions in IndexedDB: named snapshots plus an autosave
+// per editing session, so work survives a reload
+
+const DB_NAME = 'code2score';
+const DB_VERSION = 1;
+const STORE = 'compositions';
+
+// Autosaves of older sessions kept as history; snapshots are kept until deleted
+export const MAX_AUTOSAVES = 10;
+
+// Promise for one IDBRequest
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+let databasePromise = null;
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+        store.createIndex('updatedAt', 'updatedAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again (e.g. after the user allows storage)
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+};
+
+// Run one request in its own transaction and wait for the transaction to commit
+const run = async (mode, makeRequest) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORE, mode);
+  const committed = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+  const result = await promisify(makeRequest(transaction.objectStore(STORE)));
+  await committed;
+  return result;
+};
+
+// The rendered note list, without tokens and other bulk
+const summarizeNotes = (score) => score.notes.map(note => ({
+  line: note.line,
+  noteName: note.noteName,
+  ...(note.chord && { chord: note.chord }),
+  duration: note.duration,
+  velocity: note.velocity,
+  instrument: note.instrument,
+  ...(note.isRest && { isRest: true }),
+}));
+
+const createEntry = ({ id, kind, name, project, score, createdAt }) => {
+  const now = Date.now();
+  return {
+    id,
+    kind,
+    name,
+    filename: project.filename,
+    project,
+    notes: summarizeNotes(score),
+    noteCount: score.notes.length,
+    keySig: score.metadata.keySig,
+    timeSig: score.metadata.timeSig,
+    createdAt: createdAt || now,
+    updatedAt: now,
+  };
+};
+
+/**
+ * Saved compositions, newest first
+ * @param {string} query - matched case-insensitively against name, filename and source
+ * @returns {Promise<object[]>} Entries: { id, kind: 'snapshot'|'autosave', name, filename,
+ *   project, notes, noteCount, keySig, timeSig, createdAt, updatedAt }
+ */
+export const listCompositions = async (query = '') => {
+  const entries = await run('readonly', store => store.getAll());
+  const needle = query.trim().toLowerCase();
+  return entries
+    .filter(({ name, filename, project }) => !needle
+      || [name, filename, project.source].some(text => text.toLowerCase().includes(needle)))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+/**
+ * Save a named snapshot
+ * @param {string} name - shown in the library
+ * @param {object} project - from createProject
+ * @param {object} score - the composed score, for its note list
+ * @returns {Promise<object>} The stored entry
+ */
+export const saveSnapshot = async (name, project, score) => {
+  const id = `snapshot-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  const entry = createEntry({ id, kind: 'snapshot', name: name.trim() || project.filename, project, score });
+  await run('readwrite', store => store.put(entry));
+  return entry;
+};
+
+/**
+ * Autosave the current buffer. Each session overwrites its own entry; the
+ * oldest sessions beyond MAX_AUTOSAVES are dropped.
+ * @param {string} sessionId - stable for one page load
+ * @param {object} project - from createProject
+ * @param {object} score - the composed score
+ * @returns {Promise<object>} The stored entry
+ */
+export const autosaveComposition = async (sessionId, project, score) => {
+  const id = `autosave-${sessionId}`;
+  const previous = await run('readonly', store => store.get(id));
+  const entry = createEntry({
+    id,
+    kind: 'autosave',
+    name: `Autosave: ${project.filename}`,
+    project,
+    score,
+    createdAt: previous?.createdAt,
+  });
+  await run('readwrite', store => store.put(entry));
+
+  const autosaves = (await listCompositions()).filter(({ kind }) => kind === 'autosave');
+  await Promise.all(autosaves.slice(MAX_AUTOSAVES).map(old => deleteComposition(old.id)));
+  return entry;
+};
+
+/**
+ * The most recent autosave, to restore after a reload
+ * @returns {Promise<object|null>}
+ */
+export const getLatestAutosave = async () =>
+  (await listCompositions()).find(({ kind }) => kind === 'autosave') || null;
+
+/**
+ * Remove a saved composition
+ * @param {string} id - entry id
+ * @returns {Promise<void>}
+ */
+export const deleteComposition = async (id) => {
+  await run('readwrite', store => store.delete(id));
+};
@@ -0,0 +1,166 @@
+// src/components/utils/repository.js
+// Whole-repository mode: pick the source files worth composing, turn each into a
+// movement, and join the movements into one piece for export
+
+import { composeFromSource, durationToBeats, getMeasureBeats } from './composer';
+import { arrangeParts } from './arranger';
+
+export const REPOSITORY_EXTENSIONS = [
+  'js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx', 'py', 'php', 'java', 'c', 'cpp', 'rb', 'go', 'rs', 'swift',
+];
+
+// Generated or third-party code: composing it would only drown the project's own files
+const IGNORED_DIRECTORIES = new Set([
+  'node_modules', '.git', 'dist', 'build', 'vendor', 'coverage', '__pycache__', '.next', 'target',
+]);
+
+/**
+ * Whether a directory is skipped in repository mode (lets loaders avoid walking it)
+ * @param {string} name - directory name, e.g. "node_modules"
+ * @returns {boolean}
+ */
+export const isIgnoredDirectory = (name) => IGNORED_DIRECTORIES.has(name);
+
+/**
+ * Default limits so a big repository doesn't hang the tab
+ */
+export const DEFAULT_REPOSITORY_LIMITS = {
+  extensions: REPOSITORY_EXTENSIONS,
+  maxFileBytes: 100 * 1024,
+  maxFiles: 40,
+  maxTotalBytes: 1024 * 1024,
+};
+
+const extensionOf = (path) => {
+  const name = path.split('/').pop();
+  return name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+};
+
+/**
+ * Decide which files become movements, before any content is read
+ * @param {{ path: string, size: number }[]} files - candidate files
+ * @param {object} limits - see DEFAULT_REPOSITORY_LIMITS
+ * @returns {{ accepted: object[], skipped: { path: string, reason: string }[] }}
+ *   accepted is sorted by path; skipped explains every file left out
+ */
+export const filterRepositoryFiles = (files, limits = DEFAULT_REPOSITORY_LIMITS) => {
+  const { extensions, maxFileBytes, maxFiles, maxTotalBytes } = { ...DEFAULT_REPOSITORY_LIMITS, ...limits };
+  const accepted = [];
+  const skipped = [];
+  let totalBytes = 0;
+
+  [...files]
+    .sort((a, b) => a.path.localeCompare(b.path))
+    .forEach(file => {
+      const skip = (reason) => skipped.push({ path: file.path, reason });
+      const segments = file.path.split('/');
+
+      if (segments.slice(0, -1).some(dir => IGNORED_DIRECTORIES.has(dir))) return skip('ignored directory');
+      if (!extensions.includes(extensionOf(file.path))) return skip('unsupported file type');
+      if (/\.min\.[a-z]+$/i.test(file.path)) return skip('minified');
+      if (file.size === 0) return skip('empty');
+      if (file.size > maxFileBytes) return skip(`larger than ${Math.round(maxFileBytes / 1024)} KB`);
+      if (accepted.length >= maxFiles) return skip(`more than ${maxFiles} files`);
+      if (totalBytes + file.size > maxTotalBytes) return skip(`over ${Math.round(maxTotalBytes / 1024)} KB in total`);
+
+      totalBytes += file.size;
+      accepted.push(file);
+    });
+
+  return { accepted, skipped };
+};
+
+/**
+ * Compose one movement per file; the key comes from each file's real extension
+ * @param {{ path: string, source: string }[]} files - file contents
+ * @param {object} options - composeFromSource options (filename is set per file)
+ * @returns {{ path: string, source: string, score: object }[]} Movements with at least one note
+ */
+export const composeMovements = (files, options = {}) =>
+  files
+    .map(({ path, source }) => ({
+      path,
+      source,
+      score: composeFromSource(source, { ...options, filename: path }),
+    }))
+    .filter(movement => movement.score.notes.length > 0);
+
+/**
+ * Join movements into a single score, each starting on a fresh measure.
+ * metadata.sections records where every movement starts and its key and
+ * meter, so exporters can write markers and signature changes. Phrases
+ * (motif sections) keep the letters of their movement; tempo maps are joined.
+ * @param {{ path: string, score: object }[]} movements - from composeMovements
+ * @param {{ filename?: string }} options
+ * @returns {{ metadata: object, notes: object[], measures: object[], parts: object[], drums: object[] }}
+ */
+export const combineMovements = (movements, { filename = 'repository' } = {}) => {
+  const notes = [];
+  const measures = [];
+  const drums = [];
+  const sections = [];
+  const phrases = [];
+  const tempoMap = [];
+  let offset = 0;
+
+  movements.forEach(({ path, score }) => {
+    const { keySig, timeSig } = score.metadata;
+    const noteBase = notes.length;
+    const measureBase = measures.length;
+
+    sections.push({ name: path, beat: offset, measure: measureBase + 1, keySig, timeSig });
+    score.notes.forEach(note => notes.push({
+      ...note,
+      index: noteBase + note.index,
+      startBeat: note.startBeat + offset,
+      measure: note.measure + measureBase,
+      movement: path,
+    }));
+    score.measures.forEach(measure => measures.push({
+      number: measureBase + measure.number,
+      startBeat: measure.startBeat + offset,
+      noteIndexes: measure.noteIndexes.map(i => i + noteBase),
+    }));
+    (score.metadata.phrases || []).forEach(phrase => phrases.push({
+      ...phrase,
+      noteIndex: phrase.noteIndex == null ? null : phrase.noteIndex + noteBase,
+      beat: phrase.beat + offset,
+      measure: phrase.measure + measureBase,
+      movement: path,
+    }));
+    (score.metadata.tempoMap || []).forEach(change => tempoMap.push({ ...change, beat: change.beat + offset }));
+    (score.drums || []).forEach(hit => drums.push({
+      ...hit,
+      beat: hit.beat + offset,
+      noteIndex: hit.noteIndex == null ? null : hit.noteIndex + noteBase,
+    }));
+
+    offset += score.measures.length * getMeasureBeats(timeSig);
+    // A movement ending inside a function must not hand its tempo to the next one
+    const lastChange = (score.metadata.tempoMap || []).slice(-1)[0];
+    if (lastChange && lastChange.scale !== 1) tempoMap.push({ beat: offset, scale: 1 });
+  });
+
+  const first = sections[0] || { keySig: 'C', timeSig: '4/4' };
+  const last = notes[notes.length - 1];
+
+  return {
+    metadata: {
+      filename,
+      source: 'repository',
+      keySig: first.keySig,
+      timeSig: first.timeSig,
+      sections,
+      phrases,
+      tempoMap,
+      movementCount: movements.length,
+      lineCount: movements.reduce((sum, { score }) => sum + score.metadata.lineCount, 0),
+      noteCount: notes.length,
+      totalBeats: last ? last.startBeat + durationToBeats(last.duration) : 0,
+    },
+    notes,
+    measures,
+    parts: arrangeParts(notes, drums),
+    drums,
+  };
+};
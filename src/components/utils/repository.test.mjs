@@ -0,0 +1,39 @@
+// src/components/utils/repository.test.mjs
+// Joining movements into one score (run with `npm test`)
+
+import { register } from 'node:module';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+register('../../../bin/loader.mjs', import.meta.url);
+
+const { composeMovements, combineMovements } = await import('./repository.js');
+
+const FILES = [
+  { path: 'a.js', source: 'function first() {\n  return 1;\n}\nfirst();\n' },
+  { path: 'b.js', source: 'function second() {\n  return [2, 3];\n}\nsecond();\n' },
+];
+
+test('note indexes move with their movement', () => {
+  const movements = composeMovements(FILES, { motifs: true, drums: true });
+  const score = combineMovements(movements);
+  const noteBase = movements[0].score.notes.length;
+
+  assert.deepEqual(score.notes.map(note => note.index), score.notes.map((note, i) => i));
+  assert.equal(score.metadata.phrases[1].noteIndex, movements[1].score.metadata.phrases[0].noteIndex + noteBase);
+  const secondHits = score.drums.filter(hit => hit.beat >= score.metadata.sections[1].beat);
+  assert.ok(secondHits.length > 0);
+  secondHits.forEach(hit => assert.ok(hit.noteIndex >= noteBase));
+});
+
+test('hits and phrases without a note keep a null note index', () => {
+  const movements = composeMovements(FILES, { motifs: true, drums: true });
+  movements.forEach(({ score }) => {
+    score.drums.forEach(hit => { hit.noteIndex = null; });
+    score.metadata.phrases.forEach(phrase => { phrase.noteIndex = null; });
+  });
+  const score = combineMovements(movements);
+  assert.ok(score.drums.length > 0 && score.metadata.phrases.length > 0);
+  assert.ok(score.drums.every(hit => hit.noteIndex === null));
+  assert.ok(score.metadata.phrases.every(phrase => phrase.noteIndex === null));
+});
@@ -0,0 +1,117 @@
+// src/components/utils/repositoryLoader.js
+// Reads repository files from the browser: a folder picker, a dropped folder
+// or a .zip archive. Only files that pass the repository limits are read.
+
+import { DEFAULT_REPOSITORY_LIMITS, filterRepositoryFiles, isIgnoredDirectory } from './repository';
+import { listZipEntries, readZipEntry } from './zipReader';
+
+const decoder = new TextDecoder();
+const encoder = new TextEncoder();
+
+// Drop the single top-level folder most archives and folder pickers add ("repo-main/src/..." → "src/...")
+const stripCommonRoot = (candidates) => {
+  const roots = new Set(candidates.map(c => (c.path.includes('/') ? c.path.split('/')[0] : '')));
+  if (roots.size !== 1 || roots.has('')) return candidates;
+  const [root] = roots;
+  return candidates.map(c => ({ ...c, path: c.path.slice(root.length + 1) }));
+};
+
+// Filter the candidates, then read the accepted ones; binary files are skipped too.
+// The limits hold for the bytes actually read, whatever size a candidate claimed
+const readCandidates = async (candidates, limits) => {
+  const { maxFileBytes, maxTotalBytes } = { ...DEFAULT_REPOSITORY_LIMITS, ...limits };
+  const { accepted, skipped } = filterRepositoryFiles(stripCommonRoot(candidates), limits);
+  const files = [];
+  let totalBytes = 0;
+  for (const candidate of accepted) {
+    try {
+      const maxBytes = Math.min(maxFileBytes, maxTotalBytes - totalBytes);
+      const source = await candidate.read(maxBytes);
+      const size = encoder.encode(source).length;
+      if (source.includes('\u0000')) {
+        skipped.push({ path: candidate.path, reason: 'binary' });
+      } else if (size > maxBytes) {
+        skipped.push({ path: candidate.path, reason: `over ${Math.round(maxBytes / 1024)} KB once read` });
+      } else {
+        totalBytes += size;
+        files.push({ path: candidate.path, source });
+      }
+    } catch (error) {
+      skipped.push({ path: candidate.path, reason: error.message });
+    }
+  }
+  return { files, skipped };
+};
+
+/**
+ * Read files picked with <input type="file" webkitdirectory> (or multiple)
+ * @param {FileList|File[]} fileList
+ * @param {object} limits - see DEFAULT_REPOSITORY_LIMITS
+ * @returns {Promise<{ files: { path: string, source: string }[], skipped: object[] }>}
+ */
+export const readFileList = (fileList, limits) =>
+  readCandidates(
+    [...fileList].map(file => ({
+      path: file.webkitRelativePath || file.name,
+      size: file.size,
+      read: () => file.text(),
+    })),
+    limits
+  );
+
+/**
+ * Read the source files inside a .zip archive
+ * @param {Blob} zipFile
+ * @param {object} limits - see DEFAULT_REPOSITORY_LIMITS
+ * @returns {Promise<{ files: { path: string, source: string }[], skipped: object[] }>}
+ */
+export const readZipFile = async (zipFile, limits) => {
+  const bytes = new Uint8Array(await zipFile.arrayBuffer());
+  const candidates = listZipEntries(bytes).map(entry => ({
+    path: entry.path,
+    size: entry.size,
+    read: async (maxBytes) => decoder.decode(await readZipEntry(bytes, entry, { maxBytes })),
+  }));
+  return readCandidates(candidates, limits);
+};
+
+// Walk a dropped directory, never descending into ignored folders
+const collectEntries = async (entry, out) => {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    out.push({ path: entry.fullPath.replace(/^\//, ''), size: file.size, read: () => file.text() });
+    return;
+  }
+  if (!entry.isDirectory || isIgnoredDirectory(entry.name)) return;
+
+  const reader = entry.createReader();
+  // readEntries returns at most ~100 entries per call
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (batch.length === 0) break;
+    for (const child of batch) await collectEntries(child, out);
+  }
+};
+
+/**
+ * Read whatever was dropped: a single .zip, or files and folders
+ * @param {DataTransfer} dataTransfer - from a drop event
+ * @param {object} limits - see DEFAULT_REPOSITORY_LIMITS
+ * @returns {Promise<{ files: { path: string, source: string }[], skipped: object[] }>}
+ */
+export const readDataTransfer = async (dataTransfer, limits) => {
+  const droppedFiles = [...dataTransfer.files];
+  if (droppedFiles.length === 1 && /\.zip$/i.test(droppedFiles[0].name)) {
+    return readZipFile(droppedFiles[0], limits);
+  }
+
+  // Entries must be taken synchronously, before the first await
+  const entries = [...dataTransfer.items]
+    .map(item => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+  if (entries.length === 0) return readFileList(droppedFiles, limits);
+
+  const candidates = [];
+  for (const entry of entries) await collectEntries(entry, candidates);
+  return readCandidates(candidates, limits);
+};
@@ -0,0 +1,359 @@
+// src/components/utils/scoreRenderer.js
+// Renders a composed score as a grand staff (treble + bass) with VexFlow:
+// measures split by the time signature, wrapped into systems, auto-beamed.
+// A drum track adds a percussion stave under the bass stave, and motif
+// sections (metadata.phrases) get rehearsal letters above the treble stave.
+// Code metrics show as dynamic marks and hairpins under the treble stave.
+
+import * as Vex from 'vexflow';
+import { durationToBeats, getMeasureBeats, parseDuration } from './composer';
+import { DRUM_SOUNDS } from './instruments';
+import { getHitBeats } from './drumPattern';
+import { getSignatureKey } from './musicMapper';
+
+const VF = Vex.Flow;
+
+const MARGIN_X = 20;
+const MARGIN_TOP = 20;
+const STAVE_GAP = 90;         // treble stave → bass stave
+const SYSTEM_HEIGHT = 220;    // one grand staff incl. spacing to the next
+const DRUM_STAVE_GAP = 90;    // bass stave → percussion stave
+const NOTE_SPACE = 34;        // horizontal room per note
+const MIN_MEASURE_WIDTH = 120;
+const FIRST_SYSTEM_EXTRA = 110; // clef + key + time signature
+const SYSTEM_EXTRA = 80;        // clef + key signature
+
+// Diff mode: added lines green, removed lines red
+const CHANGE_COLORS = {
+  added: '#16a34a',
+  removed: '#dc2626',
+};
+
+const colorByChange = (staveNote, note) => {
+  const color = CHANGE_COLORS[note.change];
+  if (color) staveNote.setStyle({ fillStyle: color, strokeStyle: color });
+  return staveNote;
+};
+
+// Beat lengths VexFlow can notate, largest first (used for padding rests)
+const REST_DURATIONS = [[4, '1'], [2, '2'], [1, '4'], [0.5, '8'], [0.25, '16']];
+
+/**
+ * Convert a note name to a VexFlow key, e.g. "C#4" → "c#/4"
+ * @param {string} noteName - note with octave
+ * @returns {string} VexFlow key, "c/4" when the name is invalid
+ */
+export const toVexKey = (noteName) => {
+  const match = typeof noteName === 'string' && noteName.match(/^([A-G])(#{1,2}|b{1,2})?(\d)$/);
+  if (!match) return 'c/4';
+  return `${match[1].toLowerCase()}${match[2] || ''}/${match[3]}`;
+};
+
+// "4n." → "4d" (dotted); triplets keep their plain value and get a tuplet bracket
+const toVexDuration = (duration) => {
+  const { value, dotted } = parseDuration(duration);
+  return `${value}${dotted ? 'd' : ''}`;
+};
+
+// A "d" duration sets the note's length; the dot itself is a modifier
+const withDots = (staveNote, duration) => {
+  if (duration.endsWith('d')) VF.Dot.buildAndAttach([staveNote], { all: true });
+  return staveNote;
+};
+
+// Split a number of beats into notatable rest durations
+const restsForBeats = (beats) => {
+  const rests = [];
+  let remaining = beats;
+  REST_DURATIONS.forEach(([length, duration]) => {
+    while (remaining >= length - 1e-9) {
+      rests.push(duration);
+      remaining -= length;
+    }
+  });
+  return rests;
+};
+
+const makeRest = (clef, duration) =>
+  withDots(new VF.StaveNote({ clef, keys: [clef === 'bass' ? 'd/3' : 'b/4'], duration: `${duration}r` }), duration);
+
+// Treble tickable for a score note: rest, single note or chord
+const makeTrebleNote = (note) => {
+  const duration = toVexDuration(note.duration);
+  if (note.isRest) return colorByChange(makeRest('treble', duration), note);
+
+  const keys = (note.chord || [note.noteName]).map(toVexKey);
+  const staveNote = withDots(new VF.StaveNote({ clef: 'treble', keys, duration, auto_stem: true }), duration);
+  if (note.accent) {
+    staveNote.addModifier(new VF.Articulation('a>').setPosition(VF.Modifier.Position.ABOVE), 0);
+  }
+  if (note.dynamic) {
+    const mark = new VF.Annotation(note.dynamic)
+      .setFont('Times', 14, 'bold', 'italic')
+      .setVerticalJustification(VF.Annotation.VerticalJustify.BOTTOM);
+    staveNote.addModifier(mark, 0);
+  }
+  return colorByChange(staveNote, note);
+};
+
+// Bass tickable for a score note: its bass note, or a rest of the same length
+const makeBassNote = (note) => {
+  const duration = toVexDuration(note.duration);
+  if (!note.bass) return makeRest('bass', duration);
+  return withDots(new VF.StaveNote({ clef: 'bass', keys: [toVexKey(note.bass)], duration, auto_stem: true }), duration);
+};
+
+// Triplet brackets over runs of up to three triplet notes of the same value in one
+// measure; a tuplet also shortens its notes, so it is made before formatting
+const makeTuplets = (measureNotes, tickables) => {
+  const tuplets = [];
+  let run = [];
+  const close = () => {
+    if (run.length > 0) tuplets.push(new VF.Tuplet(run, { num_notes: 3, notes_occupied: 2 }));
+    run = [];
+  };
+  measureNotes.forEach((note, k) => {
+    const previous = measureNotes[k - 1];
+    const { triplet } = parseDuration(note.duration);
+    if (!triplet || run.length === 3 || (previous && previous.duration !== note.duration)) close();
+    if (triplet) run.push(tickables[k]);
+  });
+  close();
+  return tuplets;
+};
+
+// Crescendo/diminuendo wedges under runs of notes in one measure
+const drawHairpins = (context, measureNotes, trebleNotes) => {
+  let runStart = 0;
+  measureNotes.forEach((note, k) => {
+    const next = measureNotes[k + 1];
+    if (next && next.hairpin === note.hairpin) return;
+    if (note.hairpin && k > runStart) {
+      const type = note.hairpin === 'crescendo' ? VF.StaveHairpin.type.CRESC : VF.StaveHairpin.type.DECRESC;
+      new VF.StaveHairpin({ first_note: trebleNotes[runStart], last_note: trebleNotes[k] }, type)
+        .setPosition(VF.Modifier.Position.BELOW)
+        .setContext(context)
+        .draw();
+    }
+    runStart = k + 1;
+  });
+};
+
+// Percussion tickables for one measure: hits on the grid, rests in between
+const makeDrumNotes = (hits, measureStart, measureBeats, hitBeats) => {
+  const tickables = [];
+  const hitDuration = String(4 / hitBeats);
+  const addRests = (beats) => restsForBeats(beats).forEach(d => tickables.push(makeRest('percussion', d)));
+  let cursor = 0;
+
+  hits.forEach(hit => {
+    addRests(hit.beat - measureStart - cursor);
+    tickables.push(new VF.StaveNote({
+      clef: 'percussion',
+      keys: hit.sounds.map(sound => DRUM_SOUNDS[sound].vexKey),
+      duration: hitDuration,
+      stem_direction: VF.Stem.UP,
+    }));
+    cursor = hit.beat - measureStart + hitBeats;
+  });
+  addRests(measureBeats - cursor);
+  return tickables;
+};
+
+/**
+ * Break measures into systems that fit the given width
+ * @param {object[]} measures - score measures
+ * @param {number} width - total drawing width
+ * @param {(measure: object) => number} countTickables - notes to make room for in a measure
+ * @returns {{ measures: object[], widths: number[] }[]} Systems with justified measure widths
+ */
+export const layoutSystems = (measures, width, countTickables = measure => measure.noteIndexes.length) => {
+  const available = width - MARGIN_X * 2;
+  const systems = [];
+  let current = null;
+
+  measures.forEach(measure => {
+    const extra = systems.length === 0 ? FIRST_SYSTEM_EXTRA : SYSTEM_EXTRA;
+    const natural = Math.max(MIN_MEASURE_WIDTH, countTickables(measure) * NOTE_SPACE + 40);
+    const used = current ? current.widths.reduce((a, b) => a + b, 0) : 0;
+
+    if (!current || used + natural > available) {
+      current = { measures: [], widths: [] };
+      systems.push(current);
+      current.widths.push(natural + extra);
+    } else {
+      current.widths.push(natural);
+    }
+    current.measures.push(measure);
+  });
+
+  // Stretch every full system to the available width
+  systems.forEach((system, i) => {
+    const total = system.widths.reduce((a, b) => a + b, 0);
+    const isLast = i === systems.length - 1;
+    if (total > available || (!isLast && total > 0)) {
+      const scale = available / total;
+      system.widths = system.widths.map(w => w * scale);
+    }
+  });
+
+  return systems;
+};
+
+/**
+ * Draw the score into a container element (replaces its contents)
+ * @param {HTMLElement} container - element the SVG is rendered into
+ * @param {{ metadata: object, notes: object[], measures: object[], drums?: object[] }} score - from composeFromSource
+ * @param {{ darkMode?: boolean, width?: number }} options
+ * @returns {{ width: number, height: number, systems: number, noteElements: object }}
+ *   noteElements maps a note index to its drawn SVG groups (treble + bass), each
+ *   tagged with a data-note-index attribute so clicks on the staff find their note
+ */
+export const renderScore = (container, score, { darkMode = false, width = 800 } = {}) => {
+  container.innerHTML = '';
+  const { notes, measures, metadata, drums = [] } = score;
+  const noteElements = {};
+  if (!notes.length) return { width, height: 0, systems: 0, noteElements };
+
+  const { timeSig } = metadata;
+  // VexFlow knows major/minor signatures only; a modal key is drawn with its major signature
+  const keySig = getSignatureKey(metadata.keySig);
+  const measureBeats = getMeasureBeats(timeSig);
+  const hasDrums = drums.length > 0;
+  const systemHeight = SYSTEM_HEIGHT + (hasDrums ? DRUM_STAVE_GAP : 0);
+
+  // Drum tickables are built up front: they also decide how wide a measure needs to be
+  const hitBeats = getHitBeats(timeSig);
+  const drumNotes = {};
+  if (hasDrums) {
+    measures.forEach(measure => {
+      const end = measure.startBeat + measureBeats;
+      const hits = drums.filter(hit => hit.beat >= measure.startBeat && hit.beat < end);
+      drumNotes[measure.number] = makeDrumNotes(hits, measure.startBeat, measureBeats, hitBeats);
+    });
+  }
+
+  const systems = layoutSystems(measures, width, measure =>
+    Math.max(measure.noteIndexes.length, hasDrums ? drumNotes[measure.number].length : 0)
+  );
+  const height = MARGIN_TOP + systems.length * systemHeight;
+
+  const renderer = new VF.Renderer(container, VF.Renderer.Backends.SVG);
+  renderer.resize(width, height);
+
+  const context = renderer.getContext();
+  const foreground = darkMode ? '#f9fafb' : '#111827';
+  context.setBackgroundFillStyle(darkMode ? '#1f2937' : '#f9fafb');
+  context.setStrokeStyle(foreground);
+  context.setFillStyle(foreground);
+  context.setFont('Arial', 14, '');
+
+  const beamGroups = VF.Beam.getDefaultBeamGroups(timeSig);
+
+  // Rehearsal letters of the sections starting in each measure
+  const rehearsals = {};
+  (metadata.phrases || []).forEach(({ letter, measure }) => {
+    rehearsals[measure] = rehearsals[measure] ? `${rehearsals[measure]} ${letter}` : letter;
+  });
+
+  systems.forEach((system, systemIndex) => {
+    const y = MARGIN_TOP + systemIndex * systemHeight;
+    let x = MARGIN_X;
+
+    system.measures.forEach((measure, i) => {
+      const measureWidth = system.widths[i];
+      const treble = new VF.Stave(x, y, measureWidth);
+      const bass = new VF.Stave(x, y + STAVE_GAP, measureWidth);
+      const percussion = hasDrums ? new VF.Stave(x, y + STAVE_GAP + DRUM_STAVE_GAP, measureWidth) : null;
+      const staves = [treble, bass, percussion].filter(Boolean);
+      const lowest = staves[staves.length - 1];
+      const isLastMeasure = measure.number === measures.length;
+
+      if (i === 0) {
+        treble.addClef('treble').addKeySignature(keySig);
+        bass.addClef('bass').addKeySignature(keySig);
+        percussion?.addClef('percussion');
+        if (systemIndex === 0) {
+          staves.forEach(stave => stave.addTimeSignature(timeSig));
+        }
+      }
+      if (rehearsals[measure.number]) {
+        treble.setSection(rehearsals[measure.number], 0);
+      }
+      if (isLastMeasure) {
+        staves.forEach(stave => stave.setEndBarType(VF.Barline.type.END));
+      }
+
+      // All staves start their notes at the same x so the voices line up
+      const noteStartX = Math.max(...staves.map(stave => stave.getNoteStartX()));
+      staves.forEach(stave => {
+        stave.setNoteStartX(noteStartX);
+        stave.setContext(context).draw();
+      });
+
+      if (i === 0) {
+        new VF.StaveConnector(treble, bass).setType('brace').setContext(context).draw();
+        new VF.StaveConnector(treble, lowest).setType('singleLeft').setContext(context).draw();
+      }
+      new VF.StaveConnector(treble, lowest)
+        .setType(isLastMeasure ? 'boldDoubleRight' : 'singleRight')
+        .setContext(context)
+        .draw();
+
+      const measureNotes = measure.noteIndexes.map(idx => notes[idx]);
+      const trebleNotes = measureNotes.map(makeTrebleNote);
+      const bassNotes = measureNotes.map(makeBassNote);
+
+      // Pad the measure with rests up to the time signature
+      const used = measureNotes.reduce((sum, note) => sum + durationToBeats(note.duration), 0);
+      restsForBeats(measureBeats - used).forEach(duration => {
+        trebleNotes.push(makeRest('treble', duration));
+        bassNotes.push(makeRest('bass', duration));
+      });
+
+      const [beats, beatValue] = timeSig.split('/').map(n => parseInt(n, 10));
+      const makeVoice = (tickables) => new VF.Voice({ num_beats: beats, beat_value: beatValue })
+        .setMode(VF.Voice.Mode.SOFT)
+        .addTickables(tickables);
+      const trebleVoice = makeVoice(trebleNotes);
+      const bassVoice = makeVoice(bassNotes);
+      const percussionNotes = hasDrums ? drumNotes[measure.number] : [];
+      const percussionVoice = hasDrums ? makeVoice(percussionNotes) : null;
+      const tuplets = [...makeTuplets(measureNotes, trebleNotes), ...makeTuplets(measureNotes, bassNotes)];
+      const voices = [trebleVoice, bassVoice, percussionVoice].filter(Boolean);
+
+      try {
+        VF.Accidental.applyAccidentals([trebleVoice], keySig);
+        VF.Accidental.applyAccidentals([bassVoice], keySig);
+      } catch (error) {
+        console.warn('[scoreRenderer] Could not apply accidentals:', error);
+      }
+
+      const beams = [
+        ...VF.Beam.generateBeams(trebleNotes, { groups: beamGroups }),
+        ...VF.Beam.generateBeams(bassNotes, { groups: beamGroups }),
+        ...VF.Beam.generateBeams(percussionNotes, { groups: beamGroups, stem_direction: VF.Stem.UP }),
+      ];
+
+      const formatter = new VF.Formatter();
+      voices.forEach(voice => formatter.joinVoices([voice]));
+      formatter.format(voices, treble.getNoteEndX() - noteStartX - 10);
+
+      voices.forEach((voice, v) => voice.draw(context, staves[v]));
+      beams.forEach(beam => beam.setContext(context).draw());
+      tuplets.forEach(tuplet => tuplet.setContext(context).draw());
+      drawHairpins(context, measureNotes, trebleNotes);
+
+      measure.noteIndexes.forEach((noteIndex, k) => {
+        noteElements[noteIndex] = [trebleNotes[k], bassNotes[k]]
+          .map(staveNote => staveNote.getSVGElement())
+          .filter(Boolean);
+        noteElements[noteIndex].forEach(element => element.setAttribute('data-note-index', noteIndex));
+      });
+
+      x += measureWidth;
+    });
+  });
+
+  return { width, height, systems: systems.length, noteElements };
+};
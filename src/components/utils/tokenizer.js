@@ -0,0 +1,262 @@
+// src/components/utils/tokenizer.js
+// Lightweight lexical pass per language: classifies each line into tokens
+// (keyword, identifier, literal, string, operator, punctuation, comment, whitespace)
+
+const C_LIKE_OPERATORS = [
+  '>>>=', '===', '!==', '**=', '<<=', '>>=', '>>>', '...', '&&=', '||=', '??=',
+  '==', '!=', '<=', '>=', '=>', '&&', '||', '??', '?.', '++', '--', '+=', '-=',
+  '*=', '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>', '->', '::', ':=', '<-',
+  '+', '-', '*', '/', '%', '=', '<', '>', '!', '&', '|', '^', '~', '?', '@',
+];
+
+const PUNCTUATION = new Set(['{', '}', '(', ')', '[', ']', ';', ',', '.', ':']);
+
+const LANGUAGES = {
+  javascript: {
+    keywords: [
+      'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger',
+      'default', 'delete', 'do', 'else', 'enum', 'export', 'extends', 'finally', 'for',
+      'from', 'function', 'if', 'implements', 'import', 'in', 'instanceof', 'interface',
+      'let', 'new', 'of', 'private', 'protected', 'public', 'readonly', 'return', 'static',
+      'super', 'switch', 'this', 'throw', 'try', 'type', 'typeof', 'var', 'void', 'while',
+      'with', 'yield',
+    ],
+    literals: ['true', 'false', 'null', 'undefined', 'NaN', 'Infinity'],
+    lineComments: ['//'],
+    blockComment: ['/*', '*/'],
+    quotes: ["'", '"'],
+    multilineQuotes: ['`'],
+  },
+  python: {
+    keywords: [
+      'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del',
+      'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in',
+      'is', 'lambda', 'nonlocal', 'not', 'or', 'pass', 'print', 'raise', 'return', 'try',
+      'while', 'with', 'yield',
+    ],
+    literals: ['True', 'False', 'None'],
+    lineComments: ['#'],
+    blockComment: null,
+    quotes: ["'", '"'],
+    multilineQuotes: ['"""', "'''"],
+  },
+  php: {
+    keywords: [
+      'abstract', 'and', 'array', 'as', 'break', 'case', 'catch', 'class', 'clone', 'const',
+      'continue', 'declare', 'default', 'do', 'echo', 'else', 'elseif', 'extends', 'final',
+      'finally', 'fn', 'for', 'foreach', 'function', 'global', 'if', 'implements', 'include',
+      'instanceof', 'interface', 'match', 'namespace', 'new', 'or', 'print', 'private',
+      'protected', 'public', 'require', 'return', 'static', 'switch', 'throw', 'trait',
+      'try', 'use', 'var', 'while', 'yield',
+    ],
+    literals: ['true', 'false', 'null', 'TRUE', 'FALSE', 'NULL'],
+    lineComments: ['//', '#'],
+    blockComment: ['/*', '*/'],
+    quotes: ["'", '"'],
+    multilineQuotes: [],
+  },
+  java: {
+    keywords: [
+      'abstract', 'assert', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class',
+      'const', 'continue', 'default', 'do', 'double', 'else', 'enum', 'extends', 'final',
+      'finally', 'float', 'for', 'if', 'implements', 'import', 'instanceof', 'int',
+      'interface', 'long', 'new', 'package', 'private', 'protected', 'public', 'record',
+      'return', 'short', 'static', 'super', 'switch', 'synchronized', 'this', 'throw',
+      'throws', 'try', 'var', 'void', 'volatile', 'while',
+    ],
+    literals: ['true', 'false', 'null'],
+    lineComments: ['//'],
+    blockComment: ['/*', '*/'],
+    quotes: ["'", '"'],
+    multilineQuotes: [],
+  },
+  go: {
+    keywords: [
+      'break', 'case', 'chan', 'const', 'continue', 'default', 'defer', 'else',
+      'fallthrough', 'for', 'func', 'go', 'goto', 'if', 'import', 'interface', 'map',
+      'package', 'range', 'return', 'select', 'struct', 'switch', 'type', 'var',
+    ],
+    literals: ['true', 'false', 'nil', 'iota'],
+    lineComments: ['//'],
+    blockComment: ['/*', '*/'],
+    quotes: ["'", '"'],
+    multilineQuotes: ['`'],
+  },
+};
+
+const EXTENSION_LANGUAGES = {
+  js: 'javascript',
+  jsx: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  ts: 'javascript',
+  tsx: 'javascript',
+  py: 'python',
+  php: 'php',
+  java: 'java',
+  go: 'go',
+};
+
+const keywordSets = Object.fromEntries(
+  Object.entries(LANGUAGES).map(([name, def]) => [name, new Set(def.keywords)])
+);
+const literalSets = Object.fromEntries(
+  Object.entries(LANGUAGES).map(([name, def]) => [name, new Set(def.literals)])
+);
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*/;
+const NUMBER = /^(0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(\d[\d_]*\.?\d*|\.\d+)([eE][+-]?\d+)?n?)/;
+
+/**
+ * Resolve the tokenizer language for a filename
+ * @param {string} filename - e.g. "app.ts", "main.py"
+ * @returns {string} Language id, 'javascript' when unknown
+ */
+export const getLanguageByExtension = (filename = '') => {
+  const ext = filename.split('.').pop()?.toLowerCase() || 'js';
+  return EXTENSION_LANGUAGES[ext] || 'javascript';
+};
+
+const startsWithAny = (text, pos, candidates) =>
+  candidates.find(c => text.startsWith(c, pos)) || null;
+
+// Scan to the end of a string opened by `quote`; returns end index and whether it closed
+const scanString = (line, pos, quote) => {
+  let i = pos;
+  while (i < line.length) {
+    if (line[i] === '\\') {
+      i += 2;
+      continue;
+    }
+    if (line.startsWith(quote, i)) return { end: i + quote.length, closed: true };
+    i++;
+  }
+  return { end: line.length, closed: false };
+};
+
+/**
+ * Tokenize one line. Multi-line comments and strings carry over through `state`.
+ * @param {string} line - source line without the newline
+ * @param {string} language - id from getLanguageByExtension
+ * @param {{ blockComment?: boolean, quote?: string|null }} state - state after the previous line
+ * @returns {{ tokens: { type: string, text: string }[], state: object }}
+ */
+export const tokenizeLine = (line, language = 'javascript', state = {}) => {
+  const def = LANGUAGES[language] || LANGUAGES.javascript;
+  const keywords = keywordSets[language] || keywordSets.javascript;
+  const literals = literalSets[language] || literalSets.javascript;
+  const tokens = [];
+  let { blockComment = false, quote = null } = state;
+  let pos = 0;
+
+  const push = (type, text) => {
+    if (text) tokens.push({ type, text });
+  };
+
+  while (pos < line.length) {
+    const opensComment =
+      !blockComment && !quote && def.blockComment && line.startsWith(def.blockComment[0], pos);
+    if (blockComment || opensComment) {
+      const from = opensComment ? pos + def.blockComment[0].length : pos;
+      const end = line.indexOf(def.blockComment[1], from);
+      const stop = end === -1 ? line.length : end + def.blockComment[1].length;
+      push('comment', line.slice(pos, stop));
+      blockComment = end === -1;
+      pos = stop;
+      continue;
+    }
+
+    if (quote) {
+      const { end, closed } = scanString(line, pos, quote);
+      push('string', line.slice(pos, end));
+      if (closed) quote = null;
+      pos = end;
+      continue;
+    }
+
+    const rest = line.slice(pos);
+    const ws = rest.match(/^\s+/);
+    if (ws) {
+      push('whitespace', ws[0]);
+      pos += ws[0].length;
+      continue;
+    }
+
+    if (startsWithAny(line, pos, def.lineComments)) {
+      push('comment', rest);
+      break;
+    }
+
+    const multiline = startsWithAny(line, pos, def.multilineQuotes);
+    const single = multiline ? null : startsWithAny(line, pos, def.quotes);
+    if (multiline || single) {
+      const open = multiline || single;
+      const { end, closed } = scanString(line, pos + open.length, open);
+      push('string', line.slice(pos, end));
+      if (!closed && multiline) quote = open;
+      pos = end;
+      continue;
+    }
+
+    const number = rest.match(NUMBER);
+    if (number && number[0] !== '.') {
+      push('literal', number[0]);
+      pos += number[0].length;
+      continue;
+    }
+
+    const word = rest.match(IDENTIFIER);
+    if (word) {
+      const text = word[0];
+      const bare = text.replace(/^\$/, '');
+      if (keywords.has(bare)) push('keyword', text);
+      else if (literals.has(bare)) push('literal', text);
+      else push('identifier', text);
+      pos += text.length;
+      continue;
+    }
+
+    const op = startsWithAny(line, pos, C_LIKE_OPERATORS);
+    if (op && !(op === ':' || op === '.')) {
+      push('operator', op);
+      pos += op.length;
+      continue;
+    }
+
+    push(PUNCTUATION.has(line[pos]) ? 'punctuation' : 'operator', line[pos]);
+    pos++;
+  }
+
+  return { tokens, state: { blockComment, quote } };
+};
+
+/**
+ * Tokenize a whole source file, line by line
+ * @param {string} source - file content
+ * @param {string} language - id from getLanguageByExtension
+ * @returns {{ type: string, text: string }[][]} Tokens for every line (blank lines included)
+ */
+export const tokenizeSource = (source = '', language = 'javascript') => {
+  let state = {};
+  return source.split('\n').map(line => {
+    const result = tokenizeLine(line, language, state);
+    state = result.state;
+    return result.tokens;
+  });
+};
+
+/**
+ * Tokens that carry code (no whitespace or comments)
+ * @param {{ type: string }[]} tokens
+ * @returns {{ type: string, text: string }[]}
+ */
+export const getCodeTokens = (tokens = []) =>
+  tokens.filter(t => t.type !== 'whitespace' && t.type !== 'comment');
+
+/**
+ * Whether a line holds nothing but comments (and whitespace)
+ * @param {{ type: string }[]} tokens
+ * @returns {boolean}
+ */
+export const isCommentOnly = (tokens = []) =>
+  tokens.some(t => t.type === 'comment') && getCodeTokens(tokens).length === 0;
@@ -0,0 +1,60 @@
+// src/components/utils/tokenizer.test.mjs
+// Tokens per language, and comments and strings spanning lines (run with `npm test`)
+
+import { register } from 'node:module';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+register('../../../bin/loader.mjs', import.meta.url);
+
+const {
+  getLanguageByExtension, tokenizeLine, tokenizeSource, getCodeTokens, isCommentOnly,
+} = await import('./tokenizer.js');
+
+const pairs = (tokens) => getCodeTokens(tokens).map(token => [token.type, token.text]);
+
+test('languages come from the extension, JavaScript otherwise', () => {
+  assert.equal(getLanguageByExtension('app.tsx'), 'javascript');
+  assert.equal(getLanguageByExtension('lib/main.PY'), 'python');
+  assert.equal(getLanguageByExtension('server.go'), 'go');
+  assert.equal(getLanguageByExtension('notes.txt'), 'javascript');
+  assert.equal(getLanguageByExtension(), 'javascript');
+});
+
+test('a JavaScript line splits into keywords, identifiers, literals and operators', () => {
+  const { tokens } = tokenizeLine('const total = items?.length ?? 0x1F; // count', 'javascript');
+  assert.deepEqual(pairs(tokens), [
+    ['keyword', 'const'], ['identifier', 'total'], ['operator', '='], ['identifier', 'items'],
+    ['operator', '?.'], ['identifier', 'length'], ['operator', '??'], ['literal', '0x1F'],
+    ['punctuation', ';'],
+  ]);
+  assert.deepEqual(tokens.at(-1), { type: 'comment', text: '// count' });
+  assert.equal(tokens.map(token => token.text).join(''), 'const total = items?.length ?? 0x1F; // count');
+});
+
+test('keywords and literals follow the language', () => {
+  assert.deepEqual(pairs(tokenizeLine('def f(x): return None', 'python').tokens).map(([type]) => type), [
+    'keyword', 'identifier', 'punctuation', 'identifier', 'punctuation', 'punctuation', 'keyword', 'literal',
+  ]);
+  assert.deepEqual(pairs(tokenizeLine('if x := nil', 'go').tokens), [
+    ['keyword', 'if'], ['identifier', 'x'], ['operator', ':='], ['literal', 'nil'],
+  ]);
+  assert.equal(tokenizeLine('$name = null; # note', 'php').tokens.at(-1).type, 'comment');
+});
+
+test('block comments and multi-line strings carry over to the next lines', () => {
+  const lines = tokenizeSource('/* start\n  still */ x = `a\nb` + "c\\"d";', 'javascript');
+  assert.ok(isCommentOnly(lines[0]));
+  assert.deepEqual(pairs(lines[1]), [['identifier', 'x'], ['operator', '='], ['string', '`a']]);
+  assert.deepEqual(pairs(lines[2]), [['string', 'b`'], ['operator', '+'], ['string', '"c\\"d"'], ['punctuation', ';']]);
+
+  const python = tokenizeSource('s = """doc\n# not a comment\n"""', 'python');
+  assert.deepEqual(pairs(python[1]), [['string', '# not a comment']]);
+  assert.equal(isCommentOnly(python[1]), false);
+});
+
+test('a line with only a comment and whitespace is comment-only', () => {
+  assert.equal(isCommentOnly(tokenizeLine('   // note', 'javascript').tokens), true);
+  assert.equal(isCommentOnly(tokenizeLine('x(); // note', 'javascript').tokens), false);
+  assert.equal(isCommentOnly(tokenizeLine('   ', 'javascript').tokens), false);
+});
@@ -0,0 +1,253 @@
+// src/components/utils/toneVoices.js
+// Tone.js voices per mapped instrument, shared by live playback and offline rendering.
+// Tone is passed in so callers can keep loading it lazily (autoplay policy).
+
+import { getInstrumentInfo } from './instruments';
+
+// Synthesis patch for every pitched instrument in the registry (instruments.js):
+// a Tone monophonic synth class, its options and the voice's volume in dB.
+// Sampler-free, so playback needs no downloads.
+export const PATCHES = {
+  piano: {
+    synth: 'FMSynth',
+    options: {
+      harmonicity: 2,
+      modulationIndex: 3,
+      oscillator: { type: 'triangle' },
+      envelope: { attack: 0.005, decay: 1.2, sustain: 0.15, release: 1 },
+      modulationEnvelope: { attack: 0.005, decay: 0.4, sustain: 0.1, release: 0.5 }
+    }
+  },
+  strings: {
+    synth: 'Synth',
+    options: {
+      oscillator: { type: 'triangle' },
+      envelope: { attack: 0.5, decay: 0.5, sustain: 1, release: 1 }
+    }
+  },
+  synth: {
+    synth: 'Synth',
+    options: {
+      oscillator: { type: 'square' },
+      envelope: { attack: 0.01, decay: 0.1, sustain: 0.5, release: 0.4 }
+    },
+    volume: -16
+  },
+  // PluckSynth is not polyphonic in Tone 14; a short triangle envelope plucks instead
+  pluck: {
+    synth: 'Synth',
+    options: {
+      oscillator: { type: 'triangle' },
+      envelope: { attack: 0.001, decay: 0.3, sustain: 0, release: 0.2 }
+    }
+  },
+  metal: {
+    synth: 'FMSynth',
+    options: {
+      harmonicity: 4,
+      modulationIndex: 1.5,
+      oscillator: { type: 'sine' },
+      envelope: { attack: 0.001, decay: 1.5, sustain: 0, release: 1.5 },
+      modulationEnvelope: { attack: 0.001, decay: 0.5, sustain: 0.2, release: 1 }
+    }
+  },
+  marimba: {
+    synth: 'FMSynth',
+    options: {
+      harmonicity: 4,
+      modulationIndex: 2,
+      oscillator: { type: 'sine' },
+      envelope: { attack: 0.001, decay: 0.5, sustain: 0, release: 0.3 },
+      modulationEnvelope: { attack: 0.001, decay: 0.05, sustain: 0, release: 0.05 }
+    }
+  },
+  organ: {
+    synth: 'Synth',
+    options: {
+      oscillator: { type: 'sine' },
+      envelope: { attack: 0.1, decay: 0.2, sustain: 0.8, release: 1 }
+    }
+  },
+  horn: {
+    synth: 'MonoSynth',
+    options: {
+      oscillator: { type: 'sawtooth' },
+      filter: { type: 'lowpass', Q: 1 },
+      envelope: { attack: 0.08, decay: 0.3, sustain: 0.8, release: 0.6 },
+      filterEnvelope: { attack: 0.1, decay: 0.4, sustain: 0.6, release: 0.6, baseFrequency: 250, octaves: 2 }
+    },
+    volume: -16
+  },
+  bell: {
+    synth: 'FMSynth',
+    options: {
+      harmonicity: 3.01,
+      modulationIndex: 12,
+      oscillator: { type: 'sine' },
+      envelope: { attack: 0.001, decay: 2, sustain: 0, release: 2 },
+      modulationEnvelope: { attack: 0.001, decay: 1.5, sustain: 0, release: 1.5 }
+    },
+    volume: -14
+  },
+  glockenspiel: {
+    synth: 'FMSynth',
+    options: {
+      harmonicity: 8,
+      modulationIndex: 2,
+      oscillator: { type: 'sine' },
+      envelope: { attack: 0.001, decay: 0.8, sustain: 0, release: 0.8 },
+      modulationEnvelope: { attack: 0.001, decay: 0.2, sustain: 0, release: 0.2 }
+    },
+    volume: -14
+  },
+  harp: {
+    synth: 'Synth',
+    options: {
+      oscillator: { type: 'triangle' },
+      envelope: { attack: 0.002, decay: 1.5, sustain: 0, release: 1.2 }
+    }
+  },
+  woodwind: {
+    synth: 'MonoSynth',
+    options: {
+      oscillator: { type: 'square' },
+      filter: { type: 'lowpass', Q: 0.5 },
+      envelope: { attack: 0.05, decay: 0.2, sustain: 0.9, release: 0.3 },
+      filterEnvelope: { attack: 0.05, decay: 0.2, sustain: 0.8, release: 0.3, baseFrequency: 800, octaves: 1.5 }
+    },
+    volume: -18
+  },
+  brass: {
+    synth: 'MonoSynth',
+    options: {
+      oscillator: { type: 'sawtooth' },
+      filter: { type: 'lowpass', Q: 2 },
+      envelope: { attack: 0.05, decay: 0.2, sustain: 0.7, release: 0.4 },
+      filterEnvelope: { attack: 0.06, decay: 0.3, sustain: 0.5, release: 0.4, baseFrequency: 400, octaves: 3 }
+    },
+    volume: -16
+  },
+  plucked: {
+    synth: 'FMSynth',
+    options: {
+      harmonicity: 1,
+      modulationIndex: 2,
+      oscillator: { type: 'triangle' },
+      envelope: { attack: 0.002, decay: 0.8, sustain: 0, release: 0.5 },
+      modulationEnvelope: { attack: 0.002, decay: 0.2, sustain: 0, release: 0.2 }
+    }
+  },
+  celesta: {
+    synth: 'FMSynth',
+    options: {
+      harmonicity: 4,
+      modulationIndex: 1,
+      oscillator: { type: 'sine' },
+      envelope: { attack: 0.001, decay: 1, sustain: 0, release: 1 },
+      modulationEnvelope: { attack: 0.001, decay: 0.3, sustain: 0, release: 0.3 }
+    }
+  },
+  // Removed diff lines: dull and short, so they sit behind the melody
+  muted: {
+    synth: 'Synth',
+    options: {
+      oscillator: { type: 'sine' },
+      envelope: { attack: 0.01, decay: 0.15, sustain: 0.1, release: 0.1 }
+    }
+  },
+  bass: {
+    synth: 'Synth',
+    options: {
+      oscillator: { type: 'triangle' },
+      envelope: { attack: 0.05, decay: 0.3, sustain: 0.6, release: 0.8 }
+    },
+    volume: -10
+  },
+};
+
+const DEFAULT_VOLUME = -12;
+
+/**
+ * Drum kit with the same trigger/release interface as a PolySynth: a membrane
+ * kick and filtered noise for snare, hi-hat and clap. "Pitches" are sound names.
+ * @param {object} Tone - the Tone.js module
+ * @returns {{ triggerAttackRelease: Function, releaseAll: Function, dispose: Function }}
+ */
+export const createDrumKit = (Tone) => {
+  const output = new Tone.Volume(-10).toDestination();
+  const noise = (type, decay, filter) => {
+    const synth = new Tone.NoiseSynth({
+      noise: { type },
+      envelope: { attack: 0.001, decay, sustain: 0 }
+    });
+    const node = new Tone.Filter(filter);
+    synth.chain(node, output);
+    return { synth, nodes: [synth, node] };
+  };
+
+  const kick = new Tone.MembraneSynth({
+    pitchDecay: 0.05,
+    octaves: 6,
+    envelope: { attack: 0.001, decay: 0.4, sustain: 0 }
+  }).connect(output);
+  const snare = noise('white', 0.2, { type: 'bandpass', frequency: 3000 });
+  const hihat = noise('white', 0.05, { type: 'highpass', frequency: 7000 });
+  const clap = noise('pink', 0.15, { type: 'bandpass', frequency: 1500 });
+
+  const sounds = {
+    kick: (time, velocity) => kick.triggerAttackRelease('C1', '8n', time, velocity),
+    snare: (time, velocity) => snare.synth.triggerAttackRelease('16n', time, velocity),
+    hihat: (time, velocity) => hihat.synth.triggerAttackRelease('32n', time, velocity),
+    clap: (time, velocity) => clap.synth.triggerAttackRelease('16n', time, velocity),
+  };
+
+  return {
+    triggerAttackRelease: (names, duration, time, velocity) => {
+      names.forEach(name => sounds[name]?.(time, velocity));
+    },
+    // Hits are one-shots: nothing is held
+    releaseAll: () => {},
+    dispose: () => {
+      [kick, ...snare.nodes, ...hihat.nodes, ...clap.nodes, output].forEach(node => node.dispose());
+    },
+  };
+};
+
+// Registry name for a voice: unknown names play (and share) the piano, like in MIDI export
+const getVoiceName = (instrument) =>
+  (instrument === 'drums' || PATCHES[instrument] ? instrument : getInstrumentInfo(instrument).name);
+
+/**
+ * Create a polyphonic voice for an instrument, connected to the destination
+ * of the current Tone context (live or offline)
+ * @param {object} Tone - the Tone.js module
+ * @param {string} instrument - mapped instrument name; unknown names get the piano
+ * @returns {object} Tone.PolySynth, or a drum kit for 'drums'
+ */
+export const createVoice = (Tone, instrument) => {
+  const name = getVoiceName(instrument);
+  if (name === 'drums') return createDrumKit(Tone);
+
+  const { synth: synthName, options, volume = DEFAULT_VOLUME } = PATCHES[name];
+  const synth = new Tone.PolySynth(Tone[synthName], { ...options, volume });
+  synth.maxPolyphony = 12;
+  return synth.toDestination();
+};
+
+/**
+ * Lazily create one shared voice per instrument; every note of an instrument
+ * plays through the same PolySynth
+ * @param {object} Tone - the Tone.js module
+ * @returns {(instrument: string) => object} Voice lookup
+ */
+export const createVoiceBank = (Tone) => {
+  const voices = {};
+  const getVoice = (instrument) => {
+    const name = getVoiceName(instrument);
+    if (!voices[name]) voices[name] = createVoice(Tone, name);
+    return voices[name];
+  };
+  getVoice.releaseAll = () => Object.values(voices).forEach(voice => voice.releaseAll());
+  getVoice.dispose = () => Object.values(voices).forEach(voice => voice.dispose());
+  return getVoice;
+};
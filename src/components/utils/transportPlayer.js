@@ -0,0 +1,149 @@
+// src/components/utils/transportPlayer.js
+// Score player on the Tone Transport: play/pause/stop, seek, loop and live tempo
+
+import { scheduleScore, beatsToSeconds, getTempoScaleAt } from './noteScheduler';
+import { durationToBeats } from './composer';
+import { getNotePitches } from './arranger';
+import { createVoiceBank } from './toneVoices';
+
+/**
+ * Create a player bound to the Tone Transport. Events are scheduled in beats,
+ * so tempo changes apply while playing; a score's tempo map bends the tempo
+ * set with setTempo.
+ * @param {object} Tone - the Tone.js module
+ * @param {{ onNote?: Function, onStateChange?: Function }} callbacks
+ *   onNote(event, seconds) fires in sync with the audio (via Tone.Draw);
+ *   onStateChange(state) fires with 'started' | 'paused' | 'stopped'
+ * @returns {object} Player API
+ */
+export const createTransportPlayer = (Tone, { onNote, onStateChange } = {}) => {
+  const transport = Tone.getTransport();
+  const draw = Tone.getDraw();
+  const getVoice = createVoiceBank(Tone);
+  let endBeat = 0;
+  let baseTempo = transport.bpm.value;
+  let tempoMap = [];
+  let loopStartBeat = 0;
+
+  const toTicks = (beats) => `${Math.round(beats * transport.PPQ)}i`;
+  const setState = (state) => onStateChange?.(state);
+  const applyTempo = (beat) => {
+    transport.bpm.value = baseTempo * getTempoScaleAt(tempoMap, beat);
+  };
+
+  // Jumping back to the loop start skips the tempo changes before it
+  const onLoop = (time) => {
+    transport.bpm.setValueAtTime(baseTempo * getTempoScaleAt(tempoMap, loopStartBeat), time);
+  };
+  transport.on('loop', onLoop);
+
+  // Sound a note `delay` seconds from now, outside the schedule; returns its length in seconds
+  const playNow = (note, delay = 0) => {
+    const seconds = beatsToSeconds(durationToBeats(note.duration), transport.bpm.value);
+    const pitches = getNotePitches(note);
+    if (pitches.length > 0) {
+      getVoice(note.instrument).triggerAttackRelease(pitches, seconds, Tone.now() + delay, note.velocity);
+    }
+    return seconds;
+  };
+
+  const stop = () => {
+    transport.stop();
+    getVoice.releaseAll();
+    applyTempo(0);
+    setState('stopped');
+  };
+
+  /**
+   * Replace whatever is scheduled with a score (keeps the current position)
+   * @param {object} score - from composeFromSource
+   */
+  const load = (score) => {
+    transport.cancel(0);
+    endBeat = score.metadata.totalBeats;
+    tempoMap = score.metadata.tempoMap || [];
+    applyTempo(transport.ticks / transport.PPQ);
+
+    // Tempo changes go first, so notes on the same beat already hear the new tempo
+    tempoMap.forEach(change => {
+      transport.schedule(time => {
+        transport.bpm.setValueAtTime(baseTempo * change.scale, time);
+      }, toTicks(change.beat));
+    });
+
+    scheduleScore(score).forEach(event => {
+      transport.schedule(time => {
+        const seconds = beatsToSeconds(event.beats, transport.bpm.value);
+        getVoice(event.instrument).triggerAttackRelease(event.pitches, seconds, time, event.velocity);
+        draw.schedule(() => onNote?.(event, seconds), time);
+      }, toTicks(event.startBeat));
+    });
+
+    // End of the piece: stop unless a loop region keeps us going
+    transport.schedule(time => {
+      draw.schedule(() => {
+        if (!transport.loop) stop();
+      }, time);
+    }, toTicks(endBeat));
+  };
+
+  return {
+    load,
+    stop,
+    play: () => {
+      transport.start();
+      setState('started');
+    },
+    pause: () => {
+      transport.pause();
+      getVoice.releaseAll();
+      setState('paused');
+    },
+    /** @param {number} beat - position in quarter-note beats */
+    seek: (beat) => {
+      getVoice.releaseAll();
+      const target = Math.max(0, Math.min(beat, endBeat));
+      transport.position = toTicks(target);
+      applyTempo(target);
+    },
+    /** @param {number} bpm - base tempo, quarter notes per minute */
+    setTempo: (bpm) => {
+      baseTempo = bpm;
+      applyTempo(transport.ticks / transport.PPQ);
+    },
+    /** Loop between two beat positions; pass null to clear */
+    setLoop: (range) => {
+      if (!range) {
+        transport.loop = false;
+        return;
+      }
+      loopStartBeat = range.startBeat;
+      transport.loopStart = toTicks(range.startBeat);
+      transport.loopEnd = toTicks(range.endBeat);
+      transport.loop = true;
+    },
+    /**
+     * Play one note right away, outside the schedule (e.g. the line being edited)
+     * @param {object} note - score note
+     */
+    audition: (note) => {
+      playNow(note);
+    },
+    /**
+     * Play notes one after another right away, in their own rhythm (e.g. selected lines)
+     * @param {object[]} notes - score notes in order; rests keep their length
+     */
+    auditionNotes: (notes) => {
+      notes.reduce((delay, note) => delay + playNow(note, delay), 0);
+    },
+    getBeat: () => transport.ticks / transport.PPQ,
+    getState: () => transport.state,
+    dispose: () => {
+      stop();
+      transport.cancel(0);
+      transport.loop = false;
+      transport.off('loop', onLoop);
+      getVoice.dispose();
+    },
+  };
+};
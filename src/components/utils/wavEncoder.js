@@ -0,0 +1,60 @@
+// src/components/utils/wavEncoder.js
+
+/**
+ * Encode raw audio samples as a 16-bit PCM WAV file
+ * Pure byte writer: no Web Audio or DOM needed
+ */
+
+const BYTES_PER_SAMPLE = 2;
+
+/**
+ * Encode channels of float samples (-1..1) as a WAV file
+ * @param {Float32Array[]} channels - one array per channel, all the same length
+ * @param {number} sampleRate - e.g. 44100
+ * @returns {Uint8Array} Complete RIFF/WAVE file bytes
+ */
+export const encodeWAV = (channels, sampleRate = 44100) => {
+  if (!channels.length) throw new Error('encodeWAV needs at least one channel');
+
+  const channelCount = channels.length;
+  const frames = channels[0].length;
+  const dataSize = frames * channelCount * BYTES_PER_SAMPLE;
+  const buffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(buffer);
+
+  // RIFF header
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(view, 8, 'WAVE');
+
+  // fmt chunk: PCM, channels, rate, byte rate, block align, bits per sample
+  writeString(view, 12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, channelCount, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * channelCount * BYTES_PER_SAMPLE, true);
+  view.setUint16(32, channelCount * BYTES_PER_SAMPLE, true);
+  view.setUint16(34, BYTES_PER_SAMPLE * 8, true);
+
+  // data chunk: interleaved little-endian samples
+  writeString(view, 36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  let offset = 44;
+  for (let frame = 0; frame < frames; frame++) {
+    for (let ch = 0; ch < channelCount; ch++) {
+      const sample = Math.max(-1, Math.min(1, channels[ch][frame] || 0));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+      offset += BYTES_PER_SAMPLE;
+    }
+  }
+
+  return new Uint8Array(buffer);
+};
+
+function writeString(view, offset, text) {
+  for (let i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i));
+  }
+}
@@ -0,0 +1,48 @@
+// src/components/utils/wavEncoder.test.mjs
+// WAV header and sample encoding (run with `npm test`)
+
+import { register } from 'node:module';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+register('../../../bin/loader.mjs', import.meta.url);
+
+const { encodeWAV } = await import('./wavEncoder.js');
+
+const ascii = (bytes, start, length) => String.fromCharCode(...bytes.slice(start, start + length));
+
+test('stereo 16-bit header at 48 kHz', () => {
+  const frames = 5;
+  const bytes = encodeWAV([new Float32Array(frames), new Float32Array(frames)], 48000);
+  const view = new DataView(bytes.buffer);
+  const dataSize = frames * 2 * 2;
+
+  assert.equal(bytes.length, 44 + dataSize);
+  assert.equal(ascii(bytes, 0, 4), 'RIFF');
+  assert.equal(view.getUint32(4, true), 36 + dataSize);
+  assert.equal(ascii(bytes, 8, 8), 'WAVEfmt ');
+  assert.equal(view.getUint32(16, true), 16);
+  assert.equal(view.getUint16(20, true), 1); // PCM
+  assert.equal(view.getUint16(22, true), 2);
+  assert.equal(view.getUint32(24, true), 48000);
+  assert.equal(view.getUint32(28, true), 48000 * 4);
+  assert.equal(view.getUint16(32, true), 4);
+  assert.equal(view.getUint16(34, true), 16);
+  assert.equal(ascii(bytes, 36, 4), 'data');
+  assert.equal(view.getUint32(40, true), dataSize);
+});
+
+test('samples are interleaved, scaled and clamped', () => {
+  const left = Float32Array.from([1, -1, 0.5, 2]);
+  const right = Float32Array.from([0, -0.5, -2, NaN]);
+  const bytes = encodeWAV([left, right]);
+  const view = new DataView(bytes.buffer);
+  const samples = Array.from({ length: 8 }, (_, i) => view.getInt16(44 + i * 2, true));
+
+  assert.equal(view.getUint32(24, true), 44100);
+  assert.deepEqual(samples, [32767, 0, -32768, -16384, 16383, -32768, 32767, 0]);
+});
+
+test('encodeWAV needs a channel', () => {
+  assert.throws(() => encodeWAV([]), /at least one channel/);
+});
@@ -0,0 +1,133 @@
+// src/components/utils/zipReader.js
+
+/**
+ * Minimal ZIP reader: lists entries from the central directory and extracts
+ * stored or deflated files with the browser's DecompressionStream.
+ * No ZIP64, no encryption — enough for source archives like GitHub downloads.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+const readUint16 = (bytes, pos) => bytes[pos] | (bytes[pos + 1] << 8);
+const readUint32 = (bytes, pos) => (readUint16(bytes, pos) | (readUint16(bytes, pos + 2) << 16)) >>> 0;
+
+// The End Of Central Directory record sits at the end, before an optional comment
+const findEndOfCentralDirectory = (bytes) => {
+  const lowest = Math.max(0, bytes.length - 22 - 0xffff);
+  for (let pos = bytes.length - 22; pos >= lowest; pos--) {
+    if (readUint32(bytes, pos) === EOCD_SIGNATURE) return pos;
+  }
+  throw new Error('Not a zip file: end of central directory not found');
+};
+
+/**
+ * List the files in a ZIP archive (directories are left out)
+ * @param {ArrayBuffer|Uint8Array} data - archive bytes
+ * @returns {{ path: string, size: number, compressedSize: number, method: number,
+ *   encrypted: boolean, localOffset: number }[]} Entries in archive order
+ */
+export const listZipEntries = (data) => {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const eocd = findEndOfCentralDirectory(bytes);
+  const count = readUint16(bytes, eocd + 10);
+  const directoryOffset = readUint32(bytes, eocd + 16);
+  if (directoryOffset === 0xffffffff || count === 0xffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const decoder = new TextDecoder();
+  const entries = [];
+  let pos = directoryOffset;
+  for (let i = 0; i < count; i++) {
+    if (readUint32(bytes, pos) !== CENTRAL_SIGNATURE) {
+      throw new Error(`Corrupt zip file: bad central directory entry at byte ${pos}`);
+    }
+    const flags = readUint16(bytes, pos + 8);
+    const nameLength = readUint16(bytes, pos + 28);
+    const extraLength = readUint16(bytes, pos + 30);
+    const commentLength = readUint16(bytes, pos + 32);
+    const path = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+
+    if (!path.endsWith('/')) {
+      entries.push({
+        path,
+        size: readUint32(bytes, pos + 24),
+        compressedSize: readUint32(bytes, pos + 20),
+        method: readUint16(bytes, pos + 10),
+        encrypted: (flags & 0x1) !== 0,
+        localOffset: readUint32(bytes, pos + 42),
+      });
+    }
+    pos += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+// Inflate chunk by chunk and stop as soon as the output passes maxBytes: the
+// sizes in the archive are only what it claims, so a small entry can unpack to gigabytes
+const inflateRaw = async (compressed, maxBytes) => {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot decompress zip files (DecompressionStream missing)');
+  }
+  const reader = new Blob([compressed]).stream().pipeThrough(new DecompressionStream('deflate-raw')).getReader();
+  const chunks = [];
+  let length = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    length += value.length;
+    if (length > maxBytes) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+
+  const output = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return output;
+};
+
+/**
+ * Extract one entry
+ * @param {ArrayBuffer|Uint8Array} data - archive bytes
+ * @param {object} entry - from listZipEntries
+ * @param {{ maxBytes?: number }} options - give up once the content passes maxBytes
+ * @returns {Promise<Uint8Array>} Uncompressed file content
+ */
+export const readZipEntry = async (data, entry, { maxBytes = Infinity } = {}) => {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  if (entry.encrypted) throw new Error(`${entry.path}: encrypted entries are not supported`);
+
+  const local = entry.localOffset;
+  if (readUint32(bytes, local) !== LOCAL_SIGNATURE) {
+    throw new Error(`Corrupt zip file: bad local header for ${entry.path}`);
+  }
+  // Local name/extra lengths may differ from the central directory's
+  const start = local + 30 + readUint16(bytes, local + 26) + readUint16(bytes, local + 28);
+  const compressed = bytes.subarray(start, start + entry.compressedSize);
+
+  let content;
+  switch (entry.method) {
+    case METHOD_STORED:
+      content = compressed.length > maxBytes ? null : compressed.slice();
+      break;
+    case METHOD_DEFLATE:
+      content = await inflateRaw(compressed, maxBytes);
+      break;
+    default:
+      throw new Error(`${entry.path}: unsupported compression method ${entry.method}`);
+  }
+  if (!content) throw new Error(`${entry.path}: unpacks to more than ${maxBytes} bytes`);
+  return content;
+};
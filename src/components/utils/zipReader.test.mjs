@@ -0,0 +1,66 @@
+// src/components/utils/zipReader.test.mjs
+// Listing and extracting zip entries (run with `npm test`)
+
+import { register } from 'node:module';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+
+register('../../../bin/loader.mjs', import.meta.url);
+
+const { listZipEntries, readZipEntry } = await import('./zipReader.js');
+
+const uint16 = (value) => [value & 0xff, (value >> 8) & 0xff];
+const uint32 = (value) => [...uint16(value & 0xffff), ...uint16(value >>> 16)];
+
+// A zip archive; each file's recorded size can be made to lie
+const makeZip = (files) => {
+  const local = [];
+  const central = [];
+  files.forEach(({ path, content, deflate = false, claimedSize = content.length }) => {
+    const name = [...Buffer.from(path)];
+    const data = [...(deflate ? zlib.deflateRawSync(content) : content)];
+    const method = deflate ? 8 : 0;
+    const sizes = [...uint32(0), ...uint32(data.length), ...uint32(claimedSize)]; // CRC, compressed, size
+    central.push(
+      ...uint32(0x02014b50), ...uint16(20), ...uint16(20), ...uint16(0), ...uint16(method), ...uint32(0),
+      ...sizes, ...uint16(name.length), ...uint16(0), ...uint16(0), ...uint16(0), ...uint16(0), ...uint32(0),
+      ...uint32(local.length), ...name
+    );
+    local.push(
+      ...uint32(0x04034b50), ...uint16(20), ...uint16(0), ...uint16(method), ...uint32(0),
+      ...sizes, ...uint16(name.length), ...uint16(0), ...name, ...data
+    );
+  });
+  const end = [
+    ...uint32(0x06054b50), ...uint16(0), ...uint16(0), ...uint16(files.length), ...uint16(files.length),
+    ...uint32(central.length), ...uint32(local.length), ...uint16(0),
+  ];
+  return new Uint8Array([...local, ...central, ...end]);
+};
+
+const text = (bytes) => new TextDecoder().decode(bytes);
+
+test('stored and deflated entries read back', async () => {
+  const zip = makeZip([
+    { path: 'repo/a.js', content: Buffer.from('const a = 1;\n') },
+    { path: 'repo/b.py', content: Buffer.from('print("b")\n'.repeat(20)), deflate: true },
+  ]);
+  const entries = listZipEntries(zip);
+  assert.deepEqual(entries.map(entry => [entry.path, entry.method, entry.size]), [
+    ['repo/a.js', 0, 13], ['repo/b.py', 8, 220],
+  ]);
+  assert.equal(text(await readZipEntry(zip, entries[0])), 'const a = 1;\n');
+  assert.equal(text(await readZipEntry(zip, entries[1], { maxBytes: 220 })), 'print("b")\n'.repeat(20));
+});
+
+test('extraction stops once the content passes maxBytes, whatever size the archive claims', async () => {
+  const zip = makeZip([
+    { path: 'bomb.js', content: Buffer.alloc(4 * 1024 * 1024), deflate: true, claimedSize: 10 },
+    { path: 'big.js', content: Buffer.alloc(2048), claimedSize: 10 },
+  ]);
+  const [bomb, stored] = listZipEntries(zip);
+  assert.equal(bomb.size, 10);
+  await assert.rejects(readZipEntry(zip, bomb, { maxBytes: 1024 * 1024 }), /bomb\.js: unpacks to more than 1048576 bytes/);
+  await assert.rejects(readZipEntry(zip, stored, { maxBytes: 1024 }), /big\.js/);
+});